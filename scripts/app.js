@@ -2,9 +2,10 @@
 
 import state from './state.js';
 import ui from './ui.js';
-import searchManager from './search.js';
+import { SchemaVersionError } from './migrations.js';
+import { StorageUnavailableError } from './storage.js';
 import * as validators from './validators.js';
-import * as utils from './utils.js';
+import * as utils from './utilis.js';
 
 class App {
     constructor() {
@@ -15,7 +16,22 @@ class App {
         console.log('Initializing Student Finance Tracker...');
         
         // Initialize state
-        await state.init();
+        let blockedMessage = null;
+        try {
+            await state.init({
+                onBlocked: () => {
+                    blockedMessage = blockedMessage || ui.showMessage('Close other tabs with Student Finance Tracker open to finish updating it.', 'warning', { duration: 0 });
+                }
+            });
+            blockedMessage?.remove();
+        } catch (error) {
+            if (!(error instanceof SchemaVersionError) && !(error instanceof StorageUnavailableError)) throw error;
+            
+            // Leave data from a newer version, or that cannot be reached, untouched rather than load part of it
+            ui.showMessage(error.message, 'error', { duration: 0 });
+            document.getElementById('main-content').inert = true;
+            return;
+        }
         
         // Load settings into UI
         ui.loadSettings();
@@ -58,12 +74,57 @@ class App {
         return false;
     }
 
+    // Register the offline service worker (relative, so it also works from a subfolder)
     registerServiceWorker() {
-        if ('serviceWorker' in navigator) {
-            navigator.serviceWorker.register('/sw.js').catch(error => {
+        if (!('serviceWorker' in navigator)) return;
+        
+        // The first worker claims the page too; only a replacement needs a reload
+        const hadController = Boolean(navigator.serviceWorker.controller);
+        
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => this.watchForUpdates(registration))
+            .catch(error => {
                 console.log('Service worker registration failed:', error);
             });
+        
+        // Reload once the new worker has taken over, so the page runs the new code
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading || !hadController) return;
+            reloading = true;
+            window.location.reload();
+        });
+    }
+
+    // Offer a reload when a new version has been installed and is waiting
+    watchForUpdates(registration) {
+        // Without a controller this is the first install, not an update
+        if (!navigator.serviceWorker.controller) return;
+        
+        if (registration.waiting) {
+            this.promptUpdate(registration.waiting);
+            return;
         }
+        
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+                if (worker.state === 'installed') {
+                    this.promptUpdate(worker);
+                }
+            });
+        });
+    }
+
+    // Ask the user to switch to the waiting version
+    promptUpdate(worker) {
+        ui.showMessage('A new version is available.', 'info', {
+            duration: 0,
+            action: {
+                label: 'Reload',
+                onClick: () => worker.postMessage({ type: 'SKIP_WAITING' })
+            }
+        });
     }
 }
 
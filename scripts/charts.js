@@ -0,0 +1,236 @@
+// charts.js - Accessible SVG charts for the analytics dashboard
+//
+// Charts are drawn as inline SVG, with no charting library or external service.
+// Each one is an <svg role="img"> labelled by its own <title> and <desc>, and is
+// followed by a data table holding the same figures for screen readers and print.
+
+import { stringToColor } from './utilis.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// IDs for the title and description each chart is labelled by
+let chartCount = 0;
+
+// Create an SVG element with attributes
+function svgElement(name, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+// Create an <svg role="img"> labelled by a title and description
+function createChartSvg(width, height, title, description) {
+    const id = `chart-${++chartCount}`;
+    const svg = svgElement('svg', {
+        viewBox: `0 0 ${width} ${height}`,
+        role: 'img',
+        'aria-labelledby': `${id}-title ${id}-desc`,
+        class: 'chart-svg'
+    });
+
+    const titleElement = svgElement('title', { id: `${id}-title` });
+    titleElement.textContent = title;
+    const descElement = svgElement('desc', { id: `${id}-desc` });
+    descElement.textContent = description;
+    svg.append(titleElement, descElement);
+
+    return svg;
+}
+
+// Add a hover tooltip to a chart shape
+function addTooltip(element, text) {
+    const tooltip = svgElement('title');
+    tooltip.textContent = text;
+    element.appendChild(tooltip);
+    return element;
+}
+
+// Round a maximum up to a tidy axis value (1, 2, 2.5, or 5 times a power of ten)
+function niceMax(value) {
+    if (value <= 0) return 1;
+
+    const power = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 2.5, 5, 10].find(multiple => multiple * power >= value);
+    return step * power;
+}
+
+// Create a table of the figures a chart shows, inside a <details> so it can be expanded
+export function createDataTable(caption, headers, rows) {
+    const details = document.createElement('details');
+    details.className = 'chart-data';
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Show data table';
+
+    const table = document.createElement('table');
+    const captionElement = document.createElement('caption');
+    captionElement.textContent = caption;
+
+    const headRow = document.createElement('tr');
+    headers.forEach(header => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = header;
+        headRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+
+    const tbody = document.createElement('tbody');
+    rows.forEach(cells => {
+        const tr = document.createElement('tr');
+        cells.forEach((text, index) => {
+            const cell = document.createElement(index === 0 ? 'th' : 'td');
+            if (index === 0) cell.scope = 'row';
+            cell.textContent = text;
+            tr.appendChild(cell);
+        });
+        tbody.appendChild(tr);
+    });
+
+    table.append(captionElement, thead, tbody);
+    details.append(summary, table);
+    return details;
+}
+
+// Create a donut chart of [{ label, value }] with a legend and data table
+export function createDonutChart(slices, { title, formatValue = String }) {
+    const figure = document.createElement('figure');
+    figure.className = 'chart donut-chart';
+
+    const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+    const share = (value) => total > 0 ? (value / total) * 100 : 0;
+    const description = slices.length
+        ? slices.map(slice => `${slice.label} ${formatValue(slice.value)} (${share(slice.value).toFixed(0)}%)`).join(', ')
+        : 'No spending in this range';
+
+    const size = 200;
+    const radius = 70;
+    const circumference = 2 * Math.PI * radius;
+    const svg = createChartSvg(size, size, title, description);
+
+    // Each slice is a dashed ring segment, starting at 12 o'clock and running clockwise
+    const ring = svgElement('g', { transform: `rotate(-90 ${size / 2} ${size / 2})` });
+    ring.appendChild(svgElement('circle', { cx: size / 2, cy: size / 2, r: radius, class: 'donut-track' }));
+    let offset = 0;
+    slices.forEach(slice => {
+        const length = (share(slice.value) / 100) * circumference;
+        const segment = svgElement('circle', {
+            cx: size / 2,
+            cy: size / 2,
+            r: radius,
+            class: 'donut-segment',
+            stroke: stringToColor(slice.label),
+            'stroke-dasharray': `${length} ${circumference - length}`,
+            'stroke-dashoffset': -offset
+        });
+        ring.appendChild(addTooltip(segment, `${slice.label}: ${formatValue(slice.value)} (${share(slice.value).toFixed(1)}%)`));
+        offset += length;
+    });
+    svg.appendChild(ring);
+
+    const centre = svgElement('text', { x: size / 2, y: size / 2, class: 'donut-total', 'text-anchor': 'middle', 'dominant-baseline': 'middle' });
+    centre.textContent = formatValue(total);
+    svg.appendChild(centre);
+
+    // The legend repeats the colours with labels, so colour is never the only cue
+    const legend = document.createElement('ul');
+    legend.className = 'chart-legend';
+    slices.forEach(slice => {
+        const item = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = 'chart-swatch';
+        swatch.style.backgroundColor = stringToColor(slice.label);
+        item.append(swatch, `${slice.label} · ${formatValue(slice.value)} (${share(slice.value).toFixed(0)}%)`);
+        legend.appendChild(item);
+    });
+
+    const table = createDataTable(
+        title,
+        ['Category', 'Spent', 'Share'],
+        slices.map(slice => [slice.label, formatValue(slice.value), `${share(slice.value).toFixed(1)}%`])
+    );
+
+    figure.append(svg, legend, table);
+    return figure;
+}
+
+// Create a bar chart of [{ label, value, average }] with the average drawn as a line
+export function createTrendChart(points, { title, averageLabel = 'Moving average', formatValue = String }) {
+    const figure = document.createElement('figure');
+    figure.className = 'chart trend-line-chart';
+
+    const description = points.length
+        ? points.map(point => `${point.label}: ${formatValue(point.value)}`).join(', ')
+        : 'No months in this range';
+
+    const width = 600;
+    const height = 240;
+    const margin = { top: 10, right: 10, bottom: 30, left: 60 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const max = niceMax(Math.max(...points.map(point => Math.max(point.value, point.average ?? 0)), 0));
+    const y = (value) => margin.top + plotHeight - (value / max) * plotHeight;
+    const slot = plotWidth / Math.max(points.length, 1);
+    const svg = createChartSvg(width, height, title, description);
+
+    // Horizontal gridlines with value labels
+    const grid = svgElement('g', { class: 'chart-grid', 'aria-hidden': 'true' });
+    for (let i = 0; i <= 4; i++) {
+        const value = (max / 4) * i;
+        grid.appendChild(svgElement('line', { x1: margin.left, x2: width - margin.right, y1: y(value), y2: y(value) }));
+        const label = svgElement('text', { x: margin.left - 6, y: y(value), 'text-anchor': 'end', 'dominant-baseline': 'middle', class: 'chart-axis-label' });
+        label.textContent = formatValue(value);
+        grid.appendChild(label);
+    }
+    svg.appendChild(grid);
+
+    // Bars, labelled below; with many bars only every few labels fit
+    const labelEvery = Math.ceil(points.length / 12);
+    points.forEach((point, index) => {
+        const x = margin.left + index * slot;
+        const bar = svgElement('rect', {
+            x: x + slot * 0.15,
+            y: y(point.value),
+            width: slot * 0.7,
+            height: Math.max(y(0) - y(point.value), 0),
+            class: 'chart-bar-rect'
+        });
+        svg.appendChild(addTooltip(bar, `${point.label}: ${formatValue(point.value)}`));
+
+        if (index % labelEvery === 0) {
+            const label = svgElement('text', { x: x + slot / 2, y: height - 10, 'text-anchor': 'middle', class: 'chart-axis-label', 'aria-hidden': 'true' });
+            label.textContent = point.label;
+            svg.appendChild(label);
+        }
+    });
+
+    // Moving average through the middle of each bar
+    const averaged = points.map((point, index) => ({ point, index })).filter(({ point }) => point.average !== undefined);
+    if (averaged.length > 1) {
+        const line = svgElement('polyline', {
+            points: averaged.map(({ point, index }) => `${margin.left + index * slot + slot / 2},${y(point.average)}`).join(' '),
+            class: 'chart-average-line'
+        });
+        svg.appendChild(addTooltip(line, averageLabel));
+    }
+
+    const legend = document.createElement('ul');
+    legend.className = 'chart-legend';
+    [['chart-swatch chart-swatch-bar', 'Spending'], ['chart-swatch chart-swatch-line', averageLabel]].forEach(([className, text]) => {
+        const item = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = className;
+        item.append(swatch, text);
+        legend.appendChild(item);
+    });
+
+    const table = createDataTable(
+        title,
+        ['Month', 'Spent', averageLabel],
+        points.map(point => [point.label, formatValue(point.value), point.average === undefined ? '-' : formatValue(point.average)])
+    );
+
+    figure.append(svg, legend, table);
+    return figure;
+}
@@ -0,0 +1,67 @@
+// goals.js - Savings goals and progress towards them
+//
+// A goal is { id, name, target, currency, targetDate, createdAt }. Money is moved
+// towards a goal by transactions of type 'contribution' and back out by type
+// 'withdrawal', each carrying the goal's goalId. These moves are neither spending
+// nor income, so they never count against a budget.
+
+import { validateAmount, validateDate } from './validators.js';
+import { daysBetween } from './periods.js';
+
+// Validate a goal's name, target amount, and target date
+export function validateGoal(goal, today) {
+    const errors = {};
+    const name = String(goal.name ?? '').trim();
+    const target = String(goal.target ?? '').trim();
+
+    if (!name) {
+        errors.name = 'Goal name is required';
+    }
+
+    const targetValidation = validateAmount(target);
+    if (!targetValidation.valid) {
+        errors.target = targetValidation.message;
+    } else if (targetValidation.value <= 0) {
+        errors.target = 'Target amount must be more than 0';
+    }
+
+    const dateValidation = validateDate(goal.targetDate || '');
+    if (!dateValidation.valid) {
+        errors.targetDate = dateValidation.message;
+    } else if (goal.targetDate <= today) {
+        errors.targetDate = 'Target date must be in the future';
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors,
+        cleaned: {
+            name: name.replace(/\s+/g, ' '),
+            target: targetValidation.value,
+            targetDate: goal.targetDate
+        }
+    };
+}
+
+// Work out how far a goal has come; amounts are in one currency, saved being
+// contributions less withdrawals
+export function goalProgress(target, saved, targetDate, today) {
+    const remaining = Math.max(target - saved, 0);
+    const daysLeft = targetDate >= today ? daysBetween(today, targetDate) : 0;
+    const reached = remaining === 0;
+
+    // With under a week to go, the whole remainder is needed this week
+    const weeksLeft = daysLeft / 7;
+    const neededPerWeek = reached || daysLeft === 0 ? null : remaining / Math.max(weeksLeft, 1);
+
+    return {
+        saved,
+        remaining,
+        percentage: target > 0 ? Math.min(Math.max(saved / target, 0) * 100, 100) : 0,
+        reached,
+        overdue: !reached && daysLeft === 0,
+        daysLeft,
+        weeksLeft,
+        neededPerWeek
+    };
+}
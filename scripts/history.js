@@ -0,0 +1,140 @@
+// history.js - Undo/redo stacks of state changes
+
+// Oldest changes are forgotten beyond this many
+const HISTORY_LIMIT = 100;
+
+// Changes in the same group this close together are undone as one (e.g. typing in a settings field)
+const MERGE_WINDOW_MS = 1000;
+
+// A change looks like:
+//   {
+//     label: 'Delete transaction',
+//     before: { transactions: [...records], settings: {...} },
+//     after: { transactions: [...records], settings: {...} },
+//     group: 'settings' (optional)
+//   }
+// `transactions` lists only the records the change touched: records missing from
+// one side did not exist on that side. Either key may be left out when untouched.
+export class History {
+    constructor(limit = HISTORY_LIMIT) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.batch = null;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Get the change the next undo would revert
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    // Get the change the next redo would reapply
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    // Record a new change; anything that could be redone is discarded
+    push(change) {
+        if (this.batch) {
+            this.batch.push(change);
+            return change;
+        }
+
+        const entry = { ...change, time: Date.now() };
+        const last = this.peekUndo();
+
+        if (last && change.group && last.group === change.group && entry.time - last.time < MERGE_WINDOW_MS) {
+            // Keep the original "before" so one undo goes back to where the burst started
+            this.undoStack[this.undoStack.length - 1] = { ...entry, before: last.before };
+        } else {
+            this.undoStack.push(entry);
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        return this.peekUndo();
+    }
+
+    // Collect the changes pushed until endBatch() into a single undo step
+    beginBatch() {
+        this.batch = [];
+    }
+
+    // Record the collected changes as one
+    endBatch(label) {
+        const changes = this.batch || [];
+        this.batch = null;
+
+        return changes.length ? this.push(combineChanges(label, changes)) : null;
+    }
+
+    // Move the latest change onto the redo stack and return it
+    undo() {
+        const change = this.undoStack.pop();
+        if (!change) return null;
+
+        this.redoStack.push(change);
+        return change;
+    }
+
+    // Move the latest undone change back onto the undo stack and return it
+    redo() {
+        const change = this.redoStack.pop();
+        if (!change) return null;
+
+        this.undoStack.push(change);
+        return change;
+    }
+
+    // Forget all changes
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+// Combine consecutive changes into one with the first "before" and last "after" of each record
+export function combineChanges(label, changes) {
+    const before = new Map();
+    const after = new Map();
+    const touched = new Set();
+    let settingsBefore;
+    let settingsAfter;
+
+    changes.forEach(change => {
+        const from = change.before.transactions || [];
+        const to = change.after.transactions || [];
+
+        from.forEach(t => {
+            if (!touched.has(t.id)) before.set(t.id, t);
+        });
+        [...from, ...to].forEach(t => {
+            after.delete(t.id);
+            touched.add(t.id);
+        });
+        to.forEach(t => after.set(t.id, t));
+
+        if (change.before.settings && settingsBefore === undefined) {
+            settingsBefore = change.before.settings;
+        }
+        if (change.after.settings) {
+            settingsAfter = change.after.settings;
+        }
+    });
+
+    return {
+        label,
+        before: { transactions: [...before.values()], ...(settingsBefore && { settings: settingsBefore }) },
+        after: { transactions: [...after.values()], ...(settingsAfter && { settings: settingsAfter }) }
+    };
+}
@@ -0,0 +1,256 @@
+// importers.js - Turns rows from bank and spreadsheet files into transaction form data
+
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+// Fields a CSV column can be mapped to, with header names that usually mean them
+const FIELD_ALIASES = {
+    description: ['description', 'desc', 'details', 'memo', 'narrative', 'narration', 'payee', 'name'],
+    amount: ['amount', 'value', 'total', 'debit', 'paid', 'sum'],
+    category: ['category', 'type of spend', 'group'],
+    date: ['date', 'transaction date', 'posted', 'posting date', 'completed date'],
+    type: ['type', 'direction', 'in/out'],
+    tags: ['tags', 'tag', 'labels']
+};
+
+// Check whether a row looks like column headings rather than data
+export function detectHeaderRow(rows) {
+    if (rows.length < 2) return false;
+
+    const looksLikeData = cell => /^[-+(]?[\d.,\s$€£]+\)?$/.test(cell.trim()) || /\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}/.test(cell);
+    const firstHasData = rows[0].some(looksLikeData);
+    const secondHasData = rows[1].some(looksLikeData);
+
+    return !firstHasData && secondHasData;
+}
+
+// Guess which column holds each field, based on the header names
+export function guessMapping(headers) {
+    const mapping = {};
+    const normalised = headers.map(h => h.trim().toLowerCase());
+
+    for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+        const index = normalised.findIndex((header, i) =>
+            aliases.includes(header) && !Object.values(mapping).includes(i)
+        );
+        mapping[field] = index === -1 ? null : index;
+    }
+
+    return mapping;
+}
+
+// Parse an amount written with either decimal separator, returning a signed number
+export function parseAmountValue(value, decimalSeparator = '.') {
+    if (value === undefined || value === null) return NaN;
+
+    let text = String(value).trim();
+    const negative = /^\(.*\)$/.test(text) || text.includes('-');
+
+    // Drop currency symbols, spaces, signs, and the thousands separator
+    const thousands = decimalSeparator === ',' ? '.' : ',';
+    text = text.replace(/[^\d.,]/g, '').split(thousands).join('');
+    if (decimalSeparator === ',') {
+        text = text.replace(',', '.');
+    }
+
+    if (!/^\d+(\.\d+)?$/.test(text)) return NaN;
+
+    const amount = parseFloat(text);
+    return negative ? -amount : amount;
+}
+
+// Format a positive amount the way validateAmount expects it
+export function formatAmountValue(amount) {
+    // Keep extra decimals so validation reports them instead of rounding silently
+    const text = String(amount);
+    return /\.\d{3,}$/.test(text) ? text : amount.toFixed(2);
+}
+
+// Convert a date in the given format to YYYY-MM-DD (unrecognised dates are returned as-is)
+export function parseDateValue(value, format = 'YYYY-MM-DD') {
+    const text = String(value || '').trim();
+    const parts = text.split(/[-/.'\s]/).filter(Boolean);
+    if (parts.length !== 3) return text;
+
+    let year;
+    let month;
+    let day;
+
+    switch (format) {
+        case 'DD/MM/YYYY':
+            [day, month, year] = parts;
+            break;
+        case 'MM/DD/YYYY':
+            [month, day, year] = parts;
+            break;
+        default:
+            [year, month, day] = parts;
+    }
+
+    // Two-digit years (common in QIF files) are taken as 20xx
+    if (/^\d{2}$/.test(year)) {
+        year = `20${year}`;
+    }
+
+    if (!/^\d{4}$/.test(year) || !/^\d{1,2}$/.test(month) || !/^\d{1,2}$/.test(day)) {
+        return text;
+    }
+
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+// Build transaction form data from CSV rows using a column mapping
+export function mapCSVRows(rows, mapping, options = {}) {
+    const {
+        dateFormat = 'YYYY-MM-DD',
+        decimalSeparator = '.',
+        amountSign = 'all-expenses',
+        defaultCategory = 'Other',
+        categorise = () => null
+    } = options;
+
+    const cell = (row, field) => (mapping[field] === null || mapping[field] === undefined)
+        ? ''
+        : (row[mapping[field]] ?? '').trim();
+
+    return rows.map(row => {
+        const rawAmount = cell(row, 'amount');
+        const amount = parseAmountValue(rawAmount, decimalSeparator);
+
+        // A mapped type column wins; otherwise bank-style signs decide
+        let type = cell(row, 'type').toLowerCase();
+        if (!type) {
+            type = amountSign === 'negative-expense' && amount > 0 ? 'income' : 'expense';
+        } else if (/^(in|credit|cr|deposit)$/.test(type)) {
+            type = 'income';
+        } else if (/^(out|debit|dr|withdrawal|payment)$/.test(type)) {
+            type = 'expense';
+        }
+
+        const description = cell(row, 'description').replace(/\s+/g, ' ');
+
+        return {
+            description,
+            amount: Number.isFinite(amount) ? formatAmountValue(Math.abs(amount)) : rawAmount,
+            // Rules only fill in rows the file leaves uncategorised
+            category: cell(row, 'category') || categorise(description) || defaultCategory,
+            date: parseDateValue(cell(row, 'date'), dateFormat),
+            type,
+            tags: cell(row, 'tags')
+        };
+    });
+}
+
+// Read a single OFX tag value; handles both SGML (unclosed) and XML tags
+function ofxValue(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : '';
+}
+
+// Decode the few entities banks use in OFX text fields
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Parse an OFX/QFX statement into records
+export function parseOFX(text) {
+    if (!/<OFX>/i.test(text)) {
+        throw new Error('Not an OFX file: missing <OFX> element');
+    }
+
+    const currency = ofxValue(text, 'CURDEF').toUpperCase() || null;
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+    return blocks.map(block => {
+        const posted = ofxValue(block, 'DTPOSTED');
+        const name = decodeEntities(ofxValue(block, 'NAME'));
+        const memo = decodeEntities(ofxValue(block, 'MEMO'));
+        // <ORIGCURRENCY> amounts are already converted into CURDEF, so only <CURRENCY> overrides it
+        const override = block.match(/<CURRENCY>([\s\S]*?)(?=<\/CURRENCY>|<ORIGCURRENCY>|$)/i);
+
+        return {
+            externalId: ofxValue(block, 'FITID') || null,
+            date: /^\d{8}/.test(posted)
+                ? `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`
+                : posted,
+            amount: parseAmountValue(ofxValue(block, 'TRNAMT')),
+            description: name || memo,
+            memo,
+            currency: override ? ofxValue(override[1], 'CURSYM').toUpperCase() || currency : currency
+        };
+    });
+}
+
+// Parse a QIF file into records (dates are left raw; their format varies by bank)
+export function parseQIF(text) {
+    const records = [];
+    let record = {};
+
+    text.split(/\r?\n/).forEach(line => {
+        const code = line.charAt(0);
+        const value = line.slice(1).trim();
+
+        switch (code) {
+            case 'D':
+                record.rawDate = value;
+                break;
+            case 'T':
+            case 'U':
+                record.amount = parseAmountValue(value);
+                break;
+            case 'P':
+                record.description = value;
+                break;
+            case 'M':
+                record.memo = value;
+                break;
+            case 'L':
+                // Only the top level of "Category:Subcategory"; [Account] transfers have none
+                record.category = value.startsWith('[') ? '' : value.split(':')[0].trim();
+                break;
+            case 'N':
+                record.number = value;
+                break;
+            case '^':
+                if (Object.keys(record).length) {
+                    records.push({ ...record, description: record.description || record.memo || '' });
+                }
+                record = {};
+                break;
+            default:
+                // Headers (!Type:Bank) and unsupported fields are ignored
+                break;
+        }
+    });
+
+    if (!records.length && !/^!Type:/im.test(text)) {
+        throw new Error('Not a QIF file: missing !Type header');
+    }
+
+    return records;
+}
+
+// Build transaction form data from parsed statement records
+export function mapStatementRecords(records, options = {}) {
+    const { defaultCategory = 'Other', currency, dateFormat = 'MM/DD/YYYY', categories = [], categorise = () => null } = options;
+
+    return records.map((record, index) => {
+        const amount = record.amount;
+        const description = (record.description || '').trim().replace(/\s+/g, ' ');
+
+        return {
+            description,
+            amount: Number.isFinite(amount) ? formatAmountValue(Math.abs(amount)) : String(amount ?? ''),
+            // Per-row choices from the mapping step win over categories in the file, then rules
+            category: categories[index] || record.category || categorise(description) || defaultCategory,
+            date: record.date || parseDateValue(record.rawDate, dateFormat),
+            // Statements use negative amounts for money going out
+            type: amount > 0 ? 'income' : 'expense',
+            currency: record.currency || currency
+        };
+    });
+}
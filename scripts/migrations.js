@@ -0,0 +1,103 @@
+// migrations.js - Upgrades saved and exported data to the current schema
+
+// Bump this and add a migration below whenever the shape of saved data changes.
+// Also bump it, with a migration that converts nothing, when older apps would
+// misread new data (e.g. count new records wrongly): they refuse newer versions.
+export const SCHEMA_VERSION = 8;
+
+// Raised when data comes from a newer version of the app than this one
+export class SchemaVersionError extends Error {
+    constructor(version) {
+        super(`This data was created by a newer version of Student Finance Tracker (schema v${version}; this app understands up to v${SCHEMA_VERSION}). Please update the app before loading it.`);
+        this.name = 'SchemaVersionError';
+        this.version = version;
+    }
+}
+
+// Ordered migrations; each upgrades data from version - 1 to version
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Add income/expense type (older records are all expenses)',
+        migrate(data) {
+            return {
+                ...data,
+                transactions: data.transactions.map(t => ({ ...t, type: t.type || 'expense' }))
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Add per-transaction currency (older amounts are in the base currency)',
+        migrate(data, context) {
+            const currency = data.settings?.baseCurrency || context.baseCurrency || 'USD';
+            return {
+                ...data,
+                transactions: data.transactions.map(t => ({ ...t, currency: t.currency || currency }))
+            };
+        }
+    },
+    {
+        version: 4,
+        description: 'Keep deleted records in a trash, marked with deletedAt',
+        migrate(data) {
+            return data;
+        }
+    },
+    {
+        version: 5,
+        description: 'Add free-form tags (older records have none)',
+        migrate(data) {
+            return {
+                ...data,
+                transactions: data.transactions.map(t => ({ ...t, tags: Array.isArray(t.tags) ? t.tags : [] }))
+            };
+        }
+    },
+    {
+        version: 6,
+        description: 'Split transactions across categories with splits: [{ category, amount }]',
+        migrate(data) {
+            return data;
+        }
+    },
+    {
+        version: 7,
+        description: 'Attach receipt files, listed as receipts: [{ id, name, type, size }]',
+        migrate(data) {
+            return {
+                ...data,
+                transactions: data.transactions.map(t => ({ ...t, receipts: Array.isArray(t.receipts) ? t.receipts : [] }))
+            };
+        }
+    },
+    {
+        version: 8,
+        description: 'Add savings goal contribution and withdrawal types, marked with goalId',
+        migrate(data) {
+            return data;
+        }
+    }
+];
+
+// Read a schema version from stored or exported data ('1.0' in early exports)
+export function parseVersion(version) {
+    if (version === undefined || version === null) return 1;
+
+    const number = typeof version === 'number' ? version : parseInt(version, 10);
+    return Number.isInteger(number) && number > 0 ? number : 1;
+}
+
+// Upgrade { transactions, settings } from a schema version to the current one
+export function migrateData(data, fromVersion, context = {}) {
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new SchemaVersionError(fromVersion);
+    }
+
+    return MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .reduce((current, migration) => migration.migrate(current, context), {
+            ...data,
+            transactions: data.transactions || []
+        });
+}
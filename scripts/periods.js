@@ -0,0 +1,108 @@
+// periods.js - Budget period calculations
+
+export const PERIOD_TYPES = ['month', 'week', 'custom', 'semester'];
+
+// Format a Date as YYYY-MM-DD using local time
+export function toDateString(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+// Parse a YYYY-MM-DD string as a local Date
+export function parseDate(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// Add days to a YYYY-MM-DD string
+export function addDays(dateString, days) {
+    const date = parseDate(dateString);
+    date.setDate(date.getDate() + days);
+    return toDateString(date);
+}
+
+// Count days between two YYYY-MM-DD strings (inclusive of both ends)
+export function daysBetween(start, end) {
+    return Math.round((parseDate(end) - parseDate(start)) / 86400000) + 1;
+}
+
+// Format a short date label, e.g. "25 Sep 2025"
+function shortLabel(date, withYear = true) {
+    return date.toLocaleDateString('en-GB', {
+        day: 'numeric',
+        month: 'short',
+        ...(withYear && { year: 'numeric' })
+    });
+}
+
+// Get the budget period containing a date
+export function getPeriodRange(dateInput, settings = {}) {
+    const date = typeof dateInput === 'string' ? parseDate(dateInput) : new Date(dateInput);
+    const year = date.getFullYear();
+    const month = date.getMonth();
+    let start;
+    let end;
+    let label;
+
+    switch (settings.budgetPeriod) {
+        case 'week': {
+            // Weeks run Monday to Sunday
+            const offset = (date.getDay() + 6) % 7;
+            start = new Date(year, month, date.getDate() - offset);
+            end = new Date(year, month, date.getDate() - offset + 6);
+            label = `Week of ${shortLabel(start)}`;
+            break;
+        }
+        case 'custom': {
+            // Month-long periods starting on a chosen day (e.g. payday)
+            const startDay = Math.min(Math.max(parseInt(settings.periodStartDay, 10) || 1, 1), 28);
+            const startMonth = date.getDate() >= startDay ? month : month - 1;
+            start = new Date(year, startMonth, startDay);
+            end = new Date(year, startMonth + 1, startDay - 1);
+            label = `${shortLabel(start, false)} – ${shortLabel(end)}`;
+            break;
+        }
+        case 'semester': {
+            // Two six-month semesters a year from the chosen start month
+            const firstMonth = Math.min(Math.max(parseInt(settings.semesterStartMonth, 10) || 1, 1), 12) - 1;
+            const monthsIn = (((month - firstMonth) % 12) + 12) % 12;
+            const startMonth = month - (monthsIn % 6);
+            start = new Date(year, startMonth, 1);
+            end = new Date(year, startMonth + 6, 0);
+            const sameYear = start.getFullYear() === end.getFullYear();
+            const from = start.toLocaleDateString('en-US', { month: 'short', ...(!sameYear && { year: 'numeric' }) });
+            const to = end.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+            label = `Semester ${from} – ${to}`;
+            break;
+        }
+        default:
+            start = new Date(year, month, 1);
+            end = new Date(year, month + 1, 0);
+            label = start.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    }
+
+    return {
+        start: toDateString(start),
+        end: toDateString(end),
+        label
+    };
+}
+
+// Get the period a number of steps away from a given one (negative = earlier)
+export function shiftPeriod(range, offset, settings = {}) {
+    let current = range;
+
+    for (let i = 0; i < Math.abs(offset); i++) {
+        const edge = offset < 0 ? addDays(current.start, -1) : addDays(current.end, 1);
+        current = getPeriodRange(edge, settings);
+    }
+
+    return current;
+}
+
+// Check whether a YYYY-MM-DD date falls inside a period
+export function isInPeriod(dateString, range) {
+    return dateString >= range.start && dateString <= range.end;
+}
@@ -0,0 +1,76 @@
+// recurring.js - Works out when recurring transactions fall due
+
+import { addDays, parseDate, toDateString } from './periods.js';
+
+// Safety limit on occurrences generated for a single schedule in one pass
+const MAX_OCCURRENCES = 5000;
+
+// Get the date of the nth occurrence of a schedule (0 = start date)
+export function occurrenceDate(schedule, n) {
+    switch (schedule.frequency) {
+        case 'daily':
+            return addDays(schedule.startDate, n);
+        case 'weekly':
+            return addDays(schedule.startDate, n * 7);
+        case 'custom':
+            return addDays(schedule.startDate, n * schedule.interval);
+        case 'monthly': {
+            // Clamp to the last day for short months (e.g. the 31st in February)
+            const start = parseDate(schedule.startDate);
+            const lastDay = new Date(start.getFullYear(), start.getMonth() + n + 1, 0).getDate();
+            const date = new Date(start.getFullYear(), start.getMonth() + n, Math.min(start.getDate(), lastDay));
+            return toDateString(date);
+        }
+        default:
+            throw new Error(`Unknown frequency: ${schedule.frequency}`);
+    }
+}
+
+// Get every occurrence after the last generated one, up to and including a date
+export function getDueDates(schedule, until) {
+    const limit = schedule.endDate && schedule.endDate < until ? schedule.endDate : until;
+    const dates = [];
+
+    for (let n = 0; n < MAX_OCCURRENCES; n++) {
+        const date = occurrenceDate(schedule, n);
+        if (date > limit) break;
+
+        if (!schedule.lastGenerated || date > schedule.lastGenerated) {
+            dates.push(date);
+        }
+    }
+
+    return dates;
+}
+
+// Get the next occurrence after a date, or null once the schedule has ended
+export function nextOccurrence(schedule, after) {
+    for (let n = 0; n < MAX_OCCURRENCES; n++) {
+        const date = occurrenceDate(schedule, n);
+        if (schedule.endDate && date > schedule.endDate) return null;
+        if (date > after) return date;
+    }
+
+    return null;
+}
+
+// Stable ID for an occurrence, so the same one is never created twice
+export function occurrenceId(scheduleId, date) {
+    return `${scheduleId}_${date}`;
+}
+
+// Describe how often a schedule repeats
+export function describeFrequency(schedule) {
+    switch (schedule.frequency) {
+        case 'daily':
+            return 'Daily';
+        case 'weekly':
+            return 'Weekly';
+        case 'monthly':
+            return 'Monthly';
+        case 'custom':
+            return `Every ${schedule.interval} days`;
+        default:
+            return schedule.frequency;
+    }
+}
@@ -0,0 +1,111 @@
+// reports.js - Side-by-side comparison of spending in two periods
+//
+// A period is chosen as { kind: 'month' | 'semester', month: 'YYYY-MM' } (the
+// semester is the one containing that month) or { kind: 'custom', start, end }.
+// Comparisons work on expenses whose amounts are already in the base currency.
+
+import { groupByCategory, groupByMonth } from './utilis.js';
+import { getPeriodRange } from './periods.js';
+
+// How many categories are listed as the biggest movers
+const MOVER_COUNT = 3;
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH = /^\d{4}-\d{2}$/;
+
+// Check a period choice and work out its dates and label
+export function validateComparisonPeriod(spec, settings = {}) {
+    if (spec.kind === 'custom') {
+        if (!DATE.test(spec.start || '') || !DATE.test(spec.end || '')) {
+            return { valid: false, message: 'Choose both a start and an end date' };
+        }
+        if (spec.start > spec.end) {
+            return { valid: false, message: 'The start date must not be after the end date' };
+        }
+        return { valid: true, message: '', cleaned: { start: spec.start, end: spec.end, label: `${spec.start} – ${spec.end}` } };
+    }
+
+    if (spec.kind !== 'month' && spec.kind !== 'semester') {
+        return { valid: false, message: `Unknown period type "${spec.kind}"` };
+    }
+    if (!MONTH.test(spec.month || '')) {
+        return { valid: false, message: 'Choose a month' };
+    }
+
+    const { start, end, label } = getPeriodRange(`${spec.month}-01`, {
+        budgetPeriod: spec.kind,
+        semesterStartMonth: settings.semesterStartMonth
+    });
+    return { valid: true, message: '', cleaned: { start, end, label } };
+}
+
+// Percentage change from one amount to another (null when there was nothing before)
+function percentChange(before, after) {
+    return before > 0 ? ((after - before) / before) * 100 : null;
+}
+
+// Compare spending per category between two periods ({ start, end, label } with their expenses)
+export function compareSpending(first, firstExpenses, second, secondExpenses) {
+    const before = groupByCategory(firstExpenses);
+    const after = groupByCategory(secondExpenses);
+
+    const categories = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    const rows = categories
+        .map(category => {
+            const beforeTotal = before[category]?.total || 0;
+            const afterTotal = after[category]?.total || 0;
+            return {
+                category,
+                before: beforeTotal,
+                after: afterTotal,
+                change: afterTotal - beforeTotal,
+                percent: percentChange(beforeTotal, afterTotal)
+            };
+        })
+        .sort((a, b) => Math.max(b.before, b.after) - Math.max(a.before, a.after) || a.category.localeCompare(b.category));
+
+    const beforeTotal = rows.reduce((sum, row) => sum + row.before, 0);
+    const afterTotal = rows.reduce((sum, row) => sum + row.after, 0);
+
+    // Month-by-month totals show how spending moved inside longer periods
+    const monthTotals = (expenses) => Object.entries(groupByMonth(expenses))
+        .map(([month, group]) => ({ month, total: group.total }))
+        .sort((a, b) => a.month.localeCompare(b.month));
+
+    return {
+        first: { ...first, months: monthTotals(firstExpenses) },
+        second: { ...second, months: monthTotals(secondExpenses) },
+        rows,
+        totals: {
+            before: beforeTotal,
+            after: afterTotal,
+            change: afterTotal - beforeTotal,
+            percent: percentChange(beforeTotal, afterTotal)
+        },
+        movers: rows
+            .filter(row => Math.abs(row.change) >= 0.005)
+            .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+            .slice(0, MOVER_COUNT)
+    };
+}
+
+// Write a comparison as CSV: one row per category, the total, then each period's months
+export function comparisonToCSV(comparison, currency) {
+    const { first, second, rows, totals } = comparison;
+    const percent = (value) => value === null ? '' : value.toFixed(1);
+    const amount = (value) => value.toFixed(2);
+
+    const lines = [
+        ['Category', `${first.label} (${currency})`, `${second.label} (${currency})`, 'Change', 'Change (%)'],
+        ...rows.map(row => [row.category, amount(row.before), amount(row.after), amount(row.change), percent(row.percent)]),
+        ['Total', amount(totals.before), amount(totals.after), amount(totals.change), percent(totals.percent)],
+        [],
+        ['Period', 'Month', `Spent (${currency})`],
+        ...first.months.map(entry => [first.label, entry.month, amount(entry.total)]),
+        ...second.months.map(entry => [second.label, entry.month, amount(entry.total)])
+    ];
+
+    return lines
+        .map(cells => cells.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+}
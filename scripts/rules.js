@@ -0,0 +1,79 @@
+// rules.js - User-defined rules that pick a category from a description
+//
+// A rule pairs a pattern with a category, e.g. { pattern: '/uber|bus|matatu/i', category: 'Transport' }.
+// Patterns written as /regex/flags are regexes; anything else is a keyword found
+// anywhere in the description, ignoring case. Rules are tried in order and the
+// first match wins.
+
+import { validateCategory } from './validators.js';
+
+const REGEX_LITERAL = /^\/(.+)\/([a-z]*)$/;
+
+// Escape text for use inside a regex
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile a rule's pattern; returns a RegExp or { error }
+export function compileRulePattern(pattern) {
+    const literal = String(pattern).match(REGEX_LITERAL);
+
+    try {
+        return literal
+            ? new RegExp(literal[1], literal[2].replace(/[gy]/g, ''))
+            : new RegExp(escapeRegex(String(pattern).trim()), 'i');
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// Validate a rule's pattern and category
+export function validateRule(rule) {
+    const errors = {};
+    const pattern = String(rule.pattern ?? '').trim();
+    const category = String(rule.category ?? '').trim();
+
+    if (!pattern) {
+        errors.pattern = 'Pattern is required';
+    } else {
+        const compiled = compileRulePattern(pattern);
+        if (compiled.error) {
+            errors.pattern = `Invalid regex: ${compiled.error}`;
+        } else if (compiled.test('')) {
+            errors.pattern = 'Pattern must not match an empty description';
+        }
+    }
+
+    const categoryValidation = validateCategory(category);
+    if (!categoryValidation.valid) {
+        errors.category = categoryValidation.message;
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors,
+        cleaned: {
+            pattern,
+            category: categoryValidation.cleaned || category
+        }
+    };
+}
+
+// Build a function returning the category for a description (null when no rule matches)
+export function createCategoriser(rules = []) {
+    const compiled = rules
+        .map(rule => ({ category: rule.category, regex: compileRulePattern(rule.pattern) }))
+        .filter(rule => rule.regex instanceof RegExp);
+
+    return (description) => compiled.find(rule => rule.regex.test(description || ''))?.category || null;
+}
+
+// List the transactions whose category the rules would change (split ones keep their lines)
+export function previewRules(rules, transactions) {
+    const categorise = createCategoriser(rules);
+
+    return transactions
+        .filter(transaction => !transaction.splits?.length)
+        .map(transaction => ({ transaction, category: categorise(transaction.description) }))
+        .filter(({ transaction, category }) => category && category !== transaction.category);
+}
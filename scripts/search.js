@@ -0,0 +1,482 @@
+// search.js - Field-scoped search queries over transactions
+//
+// A query combines terms such as:
+//   category:Food               category is Food (any case)
+//   desc:coffee                 description contains "coffee"
+//   desc:/coffee|tea/i          description matches a regex
+//   amount>20  amount:10..20    amount as recorded, compared with :, =, <, <=, >, >=
+//   date:2025-09                dates starting with 2025-09 (also date>=2025-09-15, date:2025-09-01..2025-09-15)
+//   date:this-month             also today, this-week, last-week, last-month, this-year, last-year, last-12-months
+//   type:income  currency:KES
+//   tag:shared  #trip-nairobi   transactions with a tag
+//   coffee  "late fee"          text anywhere (words are regexes, quotes are literal)
+// Terms side by side must all match (AND is optional); OR matches either side,
+// a leading - or NOT excludes, and parentheses group. Input without any field
+// term or keyword is run as one plain regex, as searches always were.
+
+import { getPeriodRange, shiftPeriod, toDateString } from './periods.js';
+
+// Raised for queries that cannot be parsed; the message is shown to the user
+export class QueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryError';
+    }
+}
+
+// Field names (and short forms) that terms can be scoped to
+const FIELD_ALIASES = {
+    desc: 'description',
+    description: 'description',
+    cat: 'category',
+    category: 'category',
+    amount: 'amount',
+    date: 'date',
+    type: 'type',
+    currency: 'currency',
+    tag: 'tags',
+    tags: 'tags'
+};
+
+// Cells in the transactions table that can be highlighted
+export const HIGHLIGHT_FIELDS = ['description', 'amount', 'category', 'date'];
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+const QUERY_SYNTAX = new RegExp(
+    `(^|[\\s(-])(${Object.keys(FIELD_ALIASES).join('|')})(:|[<>]=?|=)|(^|\\s)(${KEYWORDS.join('|')})(\\s|$)|(^|[\\s(-])#\\w`,
+    'i'
+);
+const DATE_PREFIX = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+const NUMBER = /^\d+(\.\d+)?$/;
+
+// Date ranges relative to today, so saved searches stay current
+const RELATIVE_DATES = {
+    'today': today => ({ start: today, end: today }),
+    'this-week': today => getPeriodRange(today, { budgetPeriod: 'week' }),
+    'last-week': today => shiftPeriod(getPeriodRange(today, { budgetPeriod: 'week' }), -1, { budgetPeriod: 'week' }),
+    'this-month': today => getPeriodRange(today, { budgetPeriod: 'month' }),
+    'last-month': today => shiftPeriod(getPeriodRange(today, { budgetPeriod: 'month' }), -1, { budgetPeriod: 'month' }),
+    'this-year': today => ({ start: `${today.slice(0, 4)}-01-01`, end: `${today.slice(0, 4)}-12-31` }),
+    'last-year': today => ({ start: `${today.slice(0, 4) - 1}-01-01`, end: `${today.slice(0, 4) - 1}-12-31` }),
+    'last-12-months': today => {
+        const thisMonth = getPeriodRange(today, { budgetPeriod: 'month' });
+        return { start: shiftPeriod(thisMonth, -11, { budgetPeriod: 'month' }).start, end: thisMonth.end };
+    }
+};
+
+// Get the { start, end } of a relative range such as 'this-month' (null if the name is unknown)
+export function getRelativeRange(name, today = toDateString(new Date())) {
+    const relative = RELATIVE_DATES[String(name).toLowerCase()];
+    return relative ? relative(today) : null;
+}
+
+// Escape text for use inside a regex
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Escape text for use as HTML
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Compile a regex, reporting bad patterns as query errors
+function makeRegex(source, flags) {
+    try {
+        return new RegExp(source, flags.replace(/[gy]/g, ''));
+    } catch (error) {
+        throw new QueryError(`Invalid regex: ${error.message}`);
+    }
+}
+
+// Categories a transaction counts towards (one per line when it is split)
+function categoriesOf(t) {
+    return t.splits?.length ? t.splits.map(line => line.category) : [t.category];
+}
+
+// Text a bare term is matched against
+function searchableText(t) {
+    return `${t.description} ${t.amount} ${t.currency} ${categoriesOf(t).join(' ')} ${t.date} ${t.type} ${(t.tags || []).map(tag => `#${tag}`).join(' ')}`;
+}
+
+// Read a term's value: "quoted text", /regex/flags, or a word
+function readValue(input, start) {
+    const opener = input[start];
+
+    if (opener === '"' || opener === '/') {
+        let i = start + 1;
+        let value = '';
+        while (i < input.length && input[i] !== opener) {
+            // Keep escapes in regexes; in quotes a backslash escapes the quote
+            if (input[i] === '\\' && i + 1 < input.length) {
+                value += opener === '/' ? input.slice(i, i + 2) : input[i + 1];
+                i += 2;
+                continue;
+            }
+            value += input[i];
+            i++;
+        }
+        if (i >= input.length) {
+            throw new QueryError(opener === '"' ? 'Missing closing quote' : 'Missing closing / in regex');
+        }
+
+        const flags = opener === '/' ? input.slice(i + 1).match(/^[a-z]*/)[0] : '';
+        return { value, kind: opener === '/' ? 'regex' : 'text', flags, end: i + 1 + flags.length };
+    }
+
+    // Words end at whitespace or an unmatched closing parenthesis
+    let i = start;
+    let depth = 0;
+    while (i < input.length && !/\s/.test(input[i])) {
+        if (input[i] === '(') depth++;
+        if (input[i] === ')') {
+            if (depth === 0) break;
+            depth--;
+        }
+        i++;
+    }
+    return { value: input.slice(start, i), kind: 'word', flags: '', end: i };
+}
+
+// Split a query into parentheses, keywords, and terms
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char });
+            i++;
+        } else if (char === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+            tokens.push({ type: 'keyword', value: 'NOT' });
+            i++;
+        } else {
+            let field = null;
+            let operator = null;
+
+            const prefix = input.slice(i).match(/^([a-z]+)(:|[<>]=?|=)/i);
+            if (prefix && FIELD_ALIASES[prefix[1].toLowerCase()]) {
+                field = FIELD_ALIASES[prefix[1].toLowerCase()];
+                operator = prefix[2];
+                i += prefix[0].length;
+            } else if (char === '#' && /\w/.test(input[i + 1] || '')) {
+                // #tag is short for tag:tag
+                field = 'tags';
+                operator = ':';
+                i++;
+            }
+
+            const { value, kind, flags, end } = readValue(input, i);
+            if (field && !value) {
+                throw new QueryError(`Missing value after "${prefix[0]}"`);
+            }
+
+            if (!field && kind === 'word' && KEYWORDS.includes(value)) {
+                tokens.push({ type: 'keyword', value });
+            } else {
+                tokens.push({ type: 'term', field, operator, value, kind, flags });
+            }
+            i = end;
+        }
+    }
+
+    return tokens;
+}
+
+// Build the regex a text term matches with
+function textRegex(token, caseFlags, exact = false) {
+    if (token.kind === 'regex') {
+        return makeRegex(token.value, token.flags);
+    }
+    // Bare words behave like the plain regex search; quoted text and field values are literal
+    const source = token.kind === 'word' && !token.field ? token.value : escapeRegex(token.value);
+    return makeRegex(exact ? `^(?:${source})$` : source, caseFlags);
+}
+
+// Compare a value with an operator
+function compare(actual, operator, expected) {
+    switch (operator) {
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        default: return actual === expected;
+    }
+}
+
+// Turn a term token into { test(t), marks(t) } for the matcher
+function compileTerm(token, caseFlags) {
+    const { field, operator, value } = token;
+    const isComparison = operator && operator !== ':' && operator !== '=';
+
+    if (isComparison && field !== 'amount' && field !== 'date') {
+        throw new QueryError(`Only amount and date can be compared with ${operator}`);
+    }
+
+    switch (field) {
+        case null: {
+            const regex = textRegex(token, caseFlags);
+            return {
+                test: t => regex.test(searchableText(t)),
+                marks: HIGHLIGHT_FIELDS.map(name => ({ field: name, regex }))
+            };
+        }
+        case 'description': {
+            const regex = textRegex(token, caseFlags);
+            return {
+                test: t => regex.test(t.description),
+                marks: [{ field: 'description', regex }]
+            };
+        }
+        case 'category':
+        case 'type':
+        case 'currency': {
+            // Plain values must match the whole field, ignoring case
+            const regex = token.kind === 'regex' ? textRegex(token, caseFlags) : textRegex(token, 'i', true);
+            return {
+                test: field === 'category'
+                    ? t => categoriesOf(t).some(category => regex.test(category))
+                    : t => regex.test(t[field] || ''),
+                marks: field === 'category' ? [{ field, regex }] : []
+            };
+        }
+        case 'tags': {
+            // Plain values must match a whole tag, ignoring case and any leading #
+            const regex = token.kind === 'regex'
+                ? textRegex(token, caseFlags)
+                : textRegex({ ...token, value: value.replace(/^#/, '') }, 'i', true);
+            return {
+                test: t => (t.tags || []).some(tag => regex.test(tag)),
+                marks: []
+            };
+        }
+        case 'amount': {
+            const range = value.split('..');
+            if (range.length > 2 || range.some(n => !NUMBER.test(n)) || (range.length === 2 && isComparison)) {
+                throw new QueryError(`"${value}" is not an amount; try amount>20 or amount:10..20`);
+            }
+            const [low, high] = range.map(Number);
+            return {
+                test: t => range.length === 2 ? t.amount >= low && t.amount <= high : compare(t.amount, operator, low),
+                marks: [{ field: 'amount', regex: /.+/ }]
+            };
+        }
+        case 'date': {
+            const relative = getRelativeRange(value);
+            if (relative) {
+                if (isComparison) {
+                    throw new QueryError(`Use date:${value} rather than comparing with ${operator}`);
+                }
+                const { start, end } = relative;
+                return {
+                    test: t => t.date >= start && t.date <= end,
+                    marks: [{ field: 'date', regex: /.+/ }]
+                };
+            }
+
+            const range = value.split('..');
+            if (range.length > 2 || range.some(d => !DATE_PREFIX.test(d)) || (range.length === 2 && isComparison)) {
+                throw new QueryError(`"${value}" is not a date; try date:2025-09 or date>=2025-09-15`);
+            }
+            // Compare only as much of the date as was given, so date>2025-09 means October onwards
+            const part = (date, prefix) => date.slice(0, prefix.length);
+            return {
+                test: t => range.length === 2
+                    ? part(t.date, range[0]) >= range[0] && part(t.date, range[1]) <= range[1]
+                    : compare(part(t.date, value), operator, value),
+                marks: [{ field: 'date', regex: range.length === 1 && !isComparison ? makeRegex(`^${escapeRegex(value)}`, '') : /.+/ }]
+            };
+        }
+        default:
+            throw new QueryError(`Unknown field "${field}"`);
+    }
+}
+
+// Recursive-descent parser: or := and (OR and)*, and := unary (AND? unary)*, unary := NOT unary | primary
+class Parser {
+    constructor(tokens, caseFlags) {
+        this.tokens = tokens;
+        this.position = 0;
+        this.caseFlags = caseFlags;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    isKeyword(token, value) {
+        return token?.type === 'keyword' && token.value === value;
+    }
+
+    parse() {
+        const node = this.parseOr();
+        if (this.peek()) {
+            throw new QueryError('Unexpected ")" without a matching "("');
+        }
+        return node;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.isKeyword(this.peek(), 'OR')) {
+            this.position++;
+            left = { type: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseUnary();
+        for (let token = this.peek(); token && token.type !== ')' && !this.isKeyword(token, 'OR'); token = this.peek()) {
+            if (this.isKeyword(token, 'AND')) {
+                this.position++;
+            }
+            left = { type: 'and', left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isKeyword(this.peek(), 'NOT')) {
+            this.position++;
+            return { type: 'not', operand: this.parseUnary() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.tokens[this.position++];
+
+        if (!token) {
+            throw new QueryError('Search ended early; a term is missing');
+        }
+        if (token.type === '(') {
+            const node = this.parseOr();
+            if (this.tokens[this.position++]?.type !== ')') {
+                throw new QueryError('Missing closing ")"');
+            }
+            return node;
+        }
+        if (token.type === ')') {
+            throw new QueryError('Unexpected ")" without a matching "("');
+        }
+        if (token.type === 'keyword') {
+            throw new QueryError(`Expected a search term before ${token.value}`);
+        }
+        return { type: 'term', ...compileTerm(token, this.caseFlags) };
+    }
+}
+
+// Parse search input into a query (null when empty); throws QueryError
+export function parseQuery(input, { caseSensitive = false } = {}) {
+    const text = input.trim();
+    if (!text) return null;
+
+    const caseFlags = caseSensitive ? '' : 'i';
+
+    // Plain regex searches keep working as before
+    if (!QUERY_SYNTAX.test(text)) {
+        const regex = makeRegex(text, caseFlags);
+        return {
+            mode: 'regex',
+            root: {
+                type: 'term',
+                test: t => regex.test(searchableText(t)),
+                marks: HIGHLIGHT_FIELDS.map(field => ({ field, regex }))
+            }
+        };
+    }
+
+    return { mode: 'query', root: new Parser(tokenize(text), caseFlags).parse() };
+}
+
+// Check a node against a transaction, collecting highlights from terms that matched
+function evaluate(node, t, marks) {
+    switch (node.type) {
+        case 'term': {
+            const matched = node.test(t);
+            if (matched) marks.push(...node.marks);
+            return matched;
+        }
+        case 'not':
+            // Excluded terms are never highlighted
+            return !evaluate(node.operand, t, []);
+        case 'and': {
+            const local = [];
+            const matched = evaluate(node.left, t, local) && evaluate(node.right, t, local);
+            if (matched) marks.push(...local);
+            return matched;
+        }
+        case 'or': {
+            const left = [];
+            const right = [];
+            const leftMatched = evaluate(node.left, t, left);
+            const rightMatched = evaluate(node.right, t, right);
+            if (leftMatched) marks.push(...left);
+            if (rightMatched) marks.push(...right);
+            return leftMatched || rightMatched;
+        }
+        default:
+            return false;
+    }
+}
+
+// Check whether a transaction matches a query (everything matches no query)
+export function matchesQuery(query, transaction) {
+    return !query || evaluate(query.root, transaction, []);
+}
+
+// Get the regexes to highlight in each table cell for a matching transaction
+export function getHighlights(query, transaction) {
+    const highlights = Object.fromEntries(HIGHLIGHT_FIELDS.map(field => [field, []]));
+    if (!query) return highlights;
+
+    const marks = [];
+    evaluate(query.root, transaction, marks);
+    marks.forEach(({ field, regex }) => highlights[field].push(regex));
+    return highlights;
+}
+
+// Render text as HTML with every match of the given regexes wrapped in <mark>
+export function highlightText(text, regexes = []) {
+    const value = String(text ?? '');
+    const ranges = [];
+
+    regexes.forEach(regex => {
+        const global = new RegExp(regex.source, `${regex.flags.replace(/[gy]/g, '')}g`);
+        for (const match of value.matchAll(global)) {
+            if (match[0]) ranges.push([match.index, match.index + match[0].length]);
+        }
+    });
+
+    if (!ranges.length) return escapeHTML(value);
+
+    // Merge overlapping matches so marks never nest
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [ranges[0]];
+    ranges.slice(1).forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+
+    let html = '';
+    let position = 0;
+    merged.forEach(([start, end]) => {
+        html += `${escapeHTML(value.slice(position, start))}<mark>${escapeHTML(value.slice(start, end))}</mark>`;
+        position = end;
+    });
+    return html + escapeHTML(value.slice(position));
+}
@@ -1,31 +1,265 @@
 // state.js - Manages application state
 
-import { loadTransactions, saveTransactions, loadSettings, saveSettings, generateId, getTimestamp } from './storage.js';
-import { validateTransaction } from './validators.js';
+import { createStorageAdapter, loadSettings, saveSettings, loadSchemaVersion, saveSchemaVersion, generateId, getTimestamp } from './storage.js';
+import { SCHEMA_VERSION, SchemaVersionError, migrateData } from './migrations.js';
+import { validateTransaction, validateSchedule, validateCategory, validateTag, validateReceiptFile } from './validators.js';
+import { convertCurrency, expandSplits, groupByCategory, groupByMonth, movingAverage } from './utilis.js';
+import { getPeriodRange, shiftPeriod, isInPeriod, toDateString, addDays, daysBetween } from './periods.js';
+import { getDueDates, occurrenceId } from './recurring.js';
+import { History } from './history.js';
+import { createTabSync, ConflictError } from './sync.js';
+import { parseQuery, matchesQuery, getRelativeRange, QueryError } from './search.js';
+import { validateRule, createCategoriser, previewRules } from './rules.js';
+import { compareSpending } from './reports.js';
+import { validateGoal, goalProgress } from './goals.js';
+
+// Share of a category envelope that counts as "nearly spent"
+const ENVELOPE_WARNING_RATIO = 0.8;
+
+// Months in the analytics moving average
+const MOVING_AVERAGE_MONTHS = 3;
+
+// Days of recent spending the forecast's daily rate is averaged over
+const FORECAST_WINDOW_DAYS = 14;
+
+// Check a date range choice ('all', 'custom', or a relative range); returns an error message or null
+function checkDateRange(preset, start, end) {
+    if (preset === 'custom') {
+        const invalid = [start, end].find(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d));
+        if (invalid) {
+            return `"${invalid}" is not a valid date`;
+        }
+        if (start && end && start > end) {
+            return 'The start date must not be after the end date';
+        }
+    } else if (preset !== 'all' && !getRelativeRange(preset)) {
+        return `Unknown date range "${preset}"`;
+    }
+    return null;
+}
+
+// Get the dates a date range choice covers (null when it is unbounded)
+function getRangeBounds({ preset, start, end }) {
+    if (preset === 'all') return null;
+    if (preset === 'custom') {
+        return start || end ? { start: start || '0000-01-01', end: end || '9999-12-31' } : null;
+    }
+    return getRelativeRange(preset);
+}
 
 class AppState {
     constructor() {
         this.transactions = [];
+        // Soft-deleted transactions, kept out of stats, search, and exports
+        this.trash = [];
         this.settings = {};
         this.filteredTransactions = [];
         this.currentSearch = {
             pattern: '',
-            regex: null,
-            caseSensitive: false
+            query: null,
+            caseSensitive: false,
+            includeTrash: false,
+            // 'all', 'custom' (start/end, either may be blank), or a relative range such as 'this-month'
+            dateRange: { preset: 'all', start: '', end: '' }
         };
         this.currentSort = 'date-desc';
+        // Parsed query (or parse error) for each saved preset; presets are replaced, never edited
+        this.presetQueries = new WeakMap();
+        this.periodOffset = 0;
+        // Dates the dashboard analytics cover, chosen like the search date range
+        this.analyticsRange = { preset: 'last-12-months', start: '', end: '' };
         this.editingId = null;
+        // updatedAt of the record when editing began, to spot edits from other tabs
+        this.editingVersion = null;
         this.listeners = [];
+        this.storage = null;
+        this.sync = null;
+        this.onError = null;
+        this.onRemoteChange = null;
+        this.history = new History();
     }
 
-    // Initialize state
-    async init() {
-        this.transactions = loadTransactions();
+    // Initialize state; onBlocked is called while another tab holds up a database upgrade
+    async init({ onBlocked } = {}) {
+        // Refuse data saved by a newer app before touching (and possibly overwriting) it
+        const storedVersion = loadSchemaVersion();
+        if (storedVersion > SCHEMA_VERSION) {
+            throw new SchemaVersionError(storedVersion);
+        }
+        
+        this.storage = this.storage || await createStorageAdapter({ onBlocked });
+        this.transactions = await this.storage.loadTransactions();
         this.settings = loadSettings();
+        
+        // Data saved before schema versions were recorded is treated as version 1
+        if (storedVersion !== SCHEMA_VERSION) {
+            await this.migrate(storedVersion ?? 1);
+        }
+        
+        // Trashed records share the store; keep them apart from live ones
+        this.splitTrash(this.transactions);
+        
+        await this.deleteOrphanedReceipts();
+        
+        // Pick up changes made in other open tabs
+        this.sync = this.sync || createTabSync(message => this.applyRemoteChange(message));
+        
+        this.purgeExpiredTrash();
+        
+        // Create any recurring transactions that came due since the last visit
+        this.materialiseRecurring();
+        
         this.filteredTransactions = [...this.transactions];
         this.notify();
     }
 
+    // Upgrade saved data to the current schema and record the new version
+    async migrate(fromVersion) {
+        const migrated = migrateData({ transactions: this.transactions, settings: this.settings }, fromVersion);
+        this.transactions = migrated.transactions;
+        this.settings = migrated.settings;
+        
+        const saved = await this.persist(this.storage.replaceAll(this.transactions));
+        if (saved && saveSettings(this.settings)) {
+            saveSchemaVersion(SCHEMA_VERSION);
+        }
+    }
+
+    // Sort loaded records into live transactions and the trash
+    splitTrash(records) {
+        this.trash = records.filter(t => t.deletedAt);
+        this.transactions = records.filter(t => !t.deletedAt);
+    }
+
+    // Save settings and share them with other open tabs
+    storeSettings() {
+        saveSettings(this.settings);
+        this.sync?.broadcast({ type: 'settings', settings: this.settings });
+    }
+
+    // Apply a change broadcast by another tab (already saved by that tab)
+    async applyRemoteChange(message) {
+        if (message.type === 'settings') {
+            this.settings = message.settings;
+        } else if (message.type === 'records') {
+            this.mergeRecords(message.put, message.removed);
+        } else if (message.type === 'reload') {
+            this.splitTrash(await this.storage.loadTransactions());
+            this.settings = loadSettings();
+        }
+        
+        this.onRemoteChange?.(message);
+        this.applySearchAndSort();
+        this.notify();
+    }
+
+    // Find records whose saved version no longer matches the one given
+    findConflicts(records) {
+        return records.filter(record => {
+            const current = this.getTransaction(record.id) || this.getTrashed(record.id);
+            return !current || current.updatedAt !== record.updatedAt || current.deletedAt !== record.deletedAt;
+        });
+    }
+
+    // Report failed storage writes instead of losing them silently
+    persist(operation) {
+        return operation.then(saved => {
+            if (!saved) {
+                this.onError?.('Your changes could not be saved. Storage may be full.');
+            }
+            return saved;
+        });
+    }
+
+    // Apply a change and record it so it can be undone
+    execute(change) {
+        this.history.push(change);
+        this.applyChange(change.before, change.after);
+    }
+
+    // Move state from one side of a change to the other
+    applyChange(from, to) {
+        if (to.transactions) {
+            this.replaceRecords(from.transactions || [], to.transactions);
+        }
+        
+        if (to.settings) {
+            this.settings = to.settings;
+            this.storeSettings();
+        }
+        
+        this.applySearchAndSort();
+        this.notify();
+    }
+
+    // Swap the records a change touched for their versions on the other side
+    replaceRecords(from, to) {
+        const keep = new Set(to.map(t => t.id));
+        const removedIds = from.map(t => t.id).filter(id => !keep.has(id));
+        
+        this.mergeRecords(to, removedIds);
+        
+        if (removedIds.length) {
+            this.persist(this.storage.deleteTransactions(removedIds));
+        }
+        if (to.length) {
+            this.persist(this.storage.putTransactions(to));
+        }
+        
+        this.sync?.broadcast({ type: 'records', put: to, removed: removedIds });
+    }
+
+    // Put records into memory (replacing any with the same ID) and drop removed IDs
+    mergeRecords(records, removedIds = []) {
+        const replaced = new Set([...removedIds, ...records.map(t => t.id)]);
+        
+        // Records land in the trash or the live list depending on deletedAt
+        this.transactions = [...records.filter(t => !t.deletedAt), ...this.transactions.filter(t => !replaced.has(t.id))];
+        this.trash = [...records.filter(t => t.deletedAt), ...this.trash.filter(t => !replaced.has(t.id))];
+    }
+
+    // Run several mutations as one undoable change
+    batch(label, work) {
+        this.history.beginBatch();
+        try {
+            work();
+        } finally {
+            this.history.endBatch(label);
+        }
+        this.notify();
+    }
+
+    // Revert the latest change (or only the given one, if it is still the latest)
+    undo(expected = null) {
+        if (expected && this.history.peekUndo() !== expected) return null;
+        
+        const change = this.history.peekUndo();
+        if (!change) return null;
+        this.assertUnchanged(change.after, change.label);
+        
+        this.history.undo();
+        this.applyChange(change.after, change.before);
+        return change;
+    }
+
+    // Reapply the latest undone change
+    redo() {
+        const change = this.history.peekRedo();
+        if (!change) return null;
+        this.assertUnchanged(change.before, change.label);
+        
+        this.history.redo();
+        this.applyChange(change.before, change.after);
+        return change;
+    }
+
+    // Refuse to undo or redo over records another tab has changed since
+    assertUnchanged(side, label) {
+        if (this.findConflicts(side.transactions || []).length) {
+            throw new ConflictError(`Cannot undo or redo "${label}": another tab has changed the same transactions since.`);
+        }
+    }
+
     // Subscribe to state changes
     subscribe(listener) {
         this.listeners.push(listener);
@@ -39,111 +273,314 @@ class AppState {
         this.listeners.forEach(listener => listener(this));
     }
 
-    // Add new transaction
-    addTransaction(formData) {
-        const validation = validateTransaction(formData);
+    // Validate form data, defaulting to the base currency
+    validate(formData) {
+        const validation = validateTransaction({ currency: this.settings.baseCurrency, ...formData });
         
         if (!validation.isValid) {
-            throw new Error('Invalid transaction data');
+            throw new Error(validation.errors.goalId || validation.errors.splits || validation.errors.tags || 'Invalid transaction data');
+        }
+        
+        if (validation.cleaned.goalId && !this.getSavingsGoal(validation.cleaned.goalId)) {
+            throw new Error('That savings goal no longer exists');
         }
+        
+        if (!this.hasRate(validation.cleaned.currency)) {
+            throw new Error(`No conversion rate set for ${validation.cleaned.currency}`);
+        }
+        
+        return validation;
+    }
+
+    // Check whether amounts in a currency can be converted
+    hasRate(currency) {
+        return currency === 'USD' || Boolean(this.settings.conversionRates?.[currency]);
+    }
+
+    // Get a transaction's amount in the base currency; amounts with no rate count as 0
+    // rather than being added unconverted (getMissingRates reports them)
+    toBase(transaction) {
+        const converted = convertCurrency(
+            transaction.amount,
+            transaction.currency || this.settings.baseCurrency,
+            this.settings.baseCurrency,
+            this.settings.conversionRates
+        );
+        
+        return Number.isFinite(converted) ? converted : 0;
+    }
+
+    // Currencies in use (by transactions, schedules, or goals) that cannot be converted into the base currency
+    getMissingRates() {
+        const currencies = new Set([
+            ...this.transactions.map(t => t.currency),
+            ...(this.settings.recurring || []).map(s => s.currency),
+            ...(this.settings.savingsGoals || []).map(g => g.currency)
+        ]);
+        
+        return [...currencies].filter(currency => currency && !this.hasRate(currency)).sort();
+    }
+
+    // Build a new transaction record from form data without saving it
+    createTransaction(formData) {
+        const validation = this.validate(formData);
 
         const now = getTimestamp();
-        const transaction = {
+        return {
             id: generateId(),
             description: validation.cleaned.description,
             amount: validation.cleaned.amount,
             category: validation.cleaned.category,
             date: validation.cleaned.date,
+            type: validation.cleaned.type,
+            currency: validation.cleaned.currency,
+            ...(validation.cleaned.splits && { splits: validation.cleaned.splits }),
+            ...(validation.cleaned.goalId && { goalId: validation.cleaned.goalId }),
+            tags: validation.cleaned.tags || [],
+            receipts: formData.receipts || [],
             createdAt: now,
             updatedAt: now
         };
+    }
 
-        this.transactions = [transaction, ...this.transactions];
-        this.applySearchAndSort();
-        saveTransactions(this.transactions);
-        this.notify();
+    // Add new transaction
+    addTransaction(formData) {
+        const transaction = this.createTransaction(formData);
+
+        this.execute({
+            label: 'Add transaction',
+            before: { transactions: [] },
+            after: { transactions: [transaction] }
+        });
         
         return transaction;
     }
 
-    // Update existing transaction
-    updateTransaction(id, formData) {
-        const validation = validateTransaction(formData);
-        
-        if (!validation.isValid) {
-            throw new Error('Invalid transaction data');
-        }
+    // Update existing transaction (force saves over a newer version from another tab)
+    updateTransaction(id, formData, { force = false } = {}) {
+        const validation = this.validate(formData);
 
         const index = this.transactions.findIndex(t => t.id === id);
         if (index === -1) {
+            if (id === this.editingId) {
+                throw new ConflictError('This transaction was deleted in another tab.');
+            }
             throw new Error('Transaction not found');
         }
 
+        const original = this.transactions[index];
+        const { splits, goalId, ...unsplit } = original;
+        if (!force && id === this.editingId && this.editingVersion && original.updatedAt !== this.editingVersion) {
+            throw new ConflictError('This transaction was changed in another tab while you were editing it.', original);
+        }
+
         const updatedTransaction = {
-            ...this.transactions[index],
+            ...unsplit,
+            ...(validation.cleaned.splits && { splits: validation.cleaned.splits }),
+            ...(validation.cleaned.goalId && { goalId: validation.cleaned.goalId }),
+            ...(validation.cleaned.tags && { tags: validation.cleaned.tags }),
+            ...(formData.receipts && { receipts: formData.receipts }),
             description: validation.cleaned.description,
             amount: validation.cleaned.amount,
             category: validation.cleaned.category,
             date: validation.cleaned.date,
+            type: validation.cleaned.type,
+            currency: validation.cleaned.currency,
             updatedAt: getTimestamp()
         };
 
-        this.transactions[index] = updatedTransaction;
-        this.applySearchAndSort();
-        saveTransactions(this.transactions);
-        this.notify();
+        this.execute({
+            label: 'Edit transaction',
+            before: { transactions: [original] },
+            after: { transactions: [updatedTransaction] }
+        });
         
         return updatedTransaction;
     }
 
-    // Delete transaction
+    // Move a transaction to the trash (undoable, so no confirmation is asked for)
     deleteTransaction(id) {
-        if (!confirm('Are you sure you want to delete this transaction?')) {
+        const transaction = this.getTransaction(id);
+        if (!transaction) {
             return false;
         }
 
-        this.transactions = this.transactions.filter(t => t.id !== id);
-        this.applySearchAndSort();
-        saveTransactions(this.transactions);
-        this.notify();
+        this.execute({
+            label: 'Delete transaction',
+            before: { transactions: [transaction] },
+            after: { transactions: [{ ...transaction, deletedAt: getTimestamp() }] }
+        });
         
         return true;
     }
 
-    // Set search pattern
+    // Apply the same edit to several live transactions as one change (one save, one notify)
+    updateMany(ids, edit, label) {
+        const records = ids.map(id => this.getTransaction(id)).filter(Boolean);
+        if (!records.length) return 0;
+        
+        const updatedAt = getTimestamp();
+        this.execute({
+            label: typeof label === 'function' ? label(records.length) : label,
+            before: { transactions: records },
+            after: { transactions: records.map(t => ({ ...edit(t), updatedAt })) }
+        });
+        
+        return records.length;
+    }
+
+    // Move several transactions to another category
+    bulkSetCategory(ids, category) {
+        const validation = validateCategory(String(category || '').trim());
+        if (!validation.valid) {
+            return { success: false, errors: [validation.message] };
+        }
+        
+        // A new single category replaces any split lines
+        const count = this.updateMany(ids, ({ splits, ...t }) => ({ ...t, category: validation.cleaned }),
+            n => `Move ${n} transactions to ${validation.cleaned}`);
+        return { success: true, count, category: validation.cleaned };
+    }
+
+    // Move several transactions' dates by a number of days (negative moves them earlier)
+    bulkShiftDates(ids, days) {
+        const offset = Number(days);
+        if (!Number.isInteger(offset) || offset === 0 || Math.abs(offset) > 3650) {
+            return { success: false, errors: ['Enter a whole number of days between -3650 and 3650 (not 0)'] };
+        }
+        
+        const count = this.updateMany(ids, t => ({ ...t, date: addDays(t.date, offset) }),
+            n => `Shift ${n} transactions by ${offset} days`);
+        return { success: true, count };
+    }
+
+    // Add a tag to several transactions (ones that already have it are left alone)
+    bulkAddTag(ids, tag) {
+        const validation = validateTag(tag);
+        if (!validation.valid) {
+            return { success: false, errors: [validation.message] };
+        }
+        
+        const untagged = ids.filter(id => !(this.getTransaction(id)?.tags || []).includes(validation.cleaned));
+        const count = this.updateMany(untagged, t => ({ ...t, tags: [...(t.tags || []), validation.cleaned] }),
+            n => `Tag ${n} transactions #${validation.cleaned}`);
+        return { success: true, count, tag: validation.cleaned };
+    }
+
+    // Move several transactions to the trash
+    bulkDelete(ids) {
+        const records = ids.map(id => this.getTransaction(id)).filter(Boolean);
+        if (!records.length) return 0;
+        
+        const deletedAt = getTimestamp();
+        this.execute({
+            label: records.length === 1 ? 'Delete transaction' : `Delete ${records.length} transactions`,
+            before: { transactions: records },
+            after: { transactions: records.map(t => ({ ...t, deletedAt })) }
+        });
+        
+        return records.length;
+    }
+
+    // Get a trashed transaction by ID
+    getTrashed(id) {
+        return this.trash.find(t => t.id === id);
+    }
+
+    // Move trashed transactions back into the live list
+    restoreFromTrash(ids = this.trash.map(t => t.id)) {
+        const records = ids.map(id => this.getTrashed(id)).filter(Boolean);
+        if (!records.length) return 0;
+        
+        this.execute({
+            label: records.length === 1 ? 'Restore transaction' : `Restore ${records.length} transactions`,
+            before: { transactions: records },
+            after: { transactions: records.map(({ deletedAt, ...t }) => t) }
+        });
+        
+        return records.length;
+    }
+
+    // Remove trashed transactions from storage for good
+    purgeFromTrash(ids = this.trash.map(t => t.id)) {
+        const records = ids.map(id => this.getTrashed(id)).filter(Boolean);
+        if (!records.length) return 0;
+        
+        this.execute({
+            label: records.length === 1 ? 'Delete transaction permanently' : `Delete ${records.length} transactions permanently`,
+            before: { transactions: records },
+            after: { transactions: [] }
+        });
+        
+        return records.length;
+    }
+
+    // Purge trashed transactions older than the retention period (not undoable)
+    purgeExpiredTrash(now = new Date()) {
+        const days = this.settings.trashRetentionDays;
+        if (!(days > 0)) return 0;
+        
+        const cutoff = new Date(now.getTime() - days * 86400000).toISOString();
+        const expired = this.trash.filter(t => t.deletedAt < cutoff);
+        if (!expired.length) return 0;
+        
+        this.replaceRecords(expired, []);
+        return expired.length;
+    }
+
+    // Set search query; throws QueryError (leaving the current search in place) if it cannot be parsed
     setSearch(pattern, caseSensitive = false) {
+        const query = parseQuery(pattern, { caseSensitive });
+        
         this.currentSearch.pattern = pattern;
         this.currentSearch.caseSensitive = caseSensitive;
+        this.currentSearch.query = query;
         
-        try {
-            const flags = caseSensitive ? 'g' : 'gi';
-            this.currentSearch.regex = pattern ? new RegExp(pattern, flags) : null;
-        } catch (error) {
-            this.currentSearch.regex = { error: error.message };
+        this.applySearchAndSort();
+        this.notify();
+    }
+
+    // Include or leave out trashed transactions in search results
+    setIncludeTrash(includeTrash) {
+        this.currentSearch.includeTrash = includeTrash;
+        this.applySearchAndSort();
+        this.notify();
+    }
+
+    // Limit results to a date range, on top of the search
+    setDateRange(preset, start = '', end = '') {
+        const error = checkDateRange(preset, start, end);
+        if (error) {
+            return { success: false, errors: [error] };
         }
         
+        this.currentSearch.dateRange = preset === 'custom' ? { preset, start, end } : { preset, start: '', end: '' };
         this.applySearchAndSort();
+        this.notify();
+        return { success: true };
+    }
+
+    // Get the dates the date range filter covers (null when it is off)
+    getDateRangeBounds() {
+        return getRangeBounds(this.currentSearch.dateRange);
     }
 
     // Apply search filter
     applySearch() {
-        const { regex } = this.currentSearch;
+        const { query, includeTrash } = this.currentSearch;
+        const transactions = includeTrash ? [...this.transactions, ...this.trash] : this.transactions;
+        const bounds = this.getDateRangeBounds();
         
-        if (!regex || regex.error) {
-            this.filteredTransactions = [...this.transactions];
-            return;
-        }
-
-        this.filteredTransactions = this.transactions.filter(t => {
-            const searchable = `${t.description} ${t.amount} ${t.category} ${t.date}`;
-            return regex.test(searchable);
-        });
+        this.filteredTransactions = transactions.filter(t =>
+            (!bounds || (t.date >= bounds.start && t.date <= bounds.end)) && matchesQuery(query, t)
+        );
     }
 
     // Set sort method
     setSort(sortBy) {
         this.currentSort = sortBy;
         this.applySearchAndSort();
+        this.notify();
     }
 
     // Apply current sort
@@ -158,7 +595,7 @@ class AppState {
                     comparison = new Date(a.date) - new Date(b.date);
                     break;
                 case 'amount':
-                    comparison = a.amount - b.amount;
+                    comparison = this.toBase(a) - this.toBase(b);
                     break;
                 case 'description':
                     comparison = a.description.localeCompare(b.description);
@@ -179,19 +616,26 @@ class AppState {
 
     // Update settings
     updateSettings(newSettings) {
-        this.settings = { ...this.settings, ...newSettings };
-        saveSettings(this.settings);
-        this.notify();
+        this.execute({
+            label: 'Change settings',
+            group: 'settings',
+            before: { settings: this.settings },
+            after: { settings: { ...this.settings, ...newSettings } }
+        });
     }
 
     // Get stats for dashboard
     getStats() {
         const total = this.transactions.length;
-        const totalAmount = this.transactions.reduce((sum, t) => sum + t.amount, 0);
+        const expenses = this.transactions.filter(t => t.type === 'expense');
+        const totalExpenses = expenses.reduce((sum, t) => sum + this.toBase(t), 0);
+        const totalIncome = this.transactions
+            .filter(t => t.type === 'income')
+            .reduce((sum, t) => sum + this.toBase(t), 0);
         
-        // Get top category
+        // Get top spending category (each split line counts towards its own category)
         const categoryCount = {};
-        this.transactions.forEach(t => {
+        expandSplits(expenses).forEach(t => {
             categoryCount[t.category] = (categoryCount[t.category] || 0) + 1;
         });
         
@@ -208,20 +652,30 @@ class AppState {
         // Get last 7 days trend
         const last7Days = this.getLast7DaysTrend();
         
-        // Budget status
-        const budgetUsed = totalAmount;
-        const budgetTotal = this.settings.monthlyBudget || 500;
-        const budgetPercentage = Math.min((budgetUsed / budgetTotal) * 100, 100);
+        // Budget status for the selected period in the base currency
+        // (income and savings goal moves never count against the budget)
+        const period = this.getSelectedPeriod();
+        const budgetUsed = this.getPeriodSpending(period);
+        const { total: budgetTotal, carried } = this.getPeriodBudget(period);
+        const budgetPercentage = budgetTotal > 0 ? Math.min((budgetUsed / budgetTotal) * 100, 100) : 100;
         const isOverBudget = budgetUsed > budgetTotal;
         
         return {
             total,
-            totalAmount,
+            totalIncome,
+            totalExpenses,
+            netBalance: totalIncome - totalExpenses,
             topCategory,
             last7Days,
+            period: {
+                ...period,
+                offset: this.periodOffset,
+                isCurrent: this.periodOffset === 0
+            },
             budget: {
                 used: budgetUsed,
                 total: budgetTotal,
+                carried,
                 percentage: budgetPercentage,
                 isOverBudget,
                 remaining: Math.max(budgetTotal - budgetUsed, 0),
@@ -230,6 +684,255 @@ class AppState {
         };
     }
 
+    // Get the budget period currently being viewed
+    getSelectedPeriod() {
+        const current = getPeriodRange(new Date(), this.settings);
+        return shiftPeriod(current, this.periodOffset, this.settings);
+    }
+
+    // Browse to an earlier or later period (0 = current period)
+    setPeriodOffset(offset) {
+        this.periodOffset = Math.min(offset, 0);
+        this.notify();
+    }
+
+    // Sum of expenses in a period, in the base currency
+    getPeriodSpending(period) {
+        return this.transactions
+            .filter(t => t.type === 'expense' && isInPeriod(t.date, period))
+            .reduce((sum, t) => sum + this.toBase(t), 0);
+    }
+
+    // Project where the current budget period will end, in the base currency: spending so far,
+    // known items still to come (future-dated expenses and recurring ones not yet created), and
+    // the recent daily rate for every remaining day
+    getForecast(today = toDateString(new Date())) {
+        const period = getPeriodRange(today, this.settings);
+        const { total: budget } = this.getPeriodBudget(period);
+        const expenses = this.transactions.filter(t => t.type === 'expense' && isInPeriod(t.date, period));
+        const addTo = (totals, date, amount) => totals.set(date, (totals.get(date) || 0) + amount);
+        
+        const spentByDay = new Map();
+        const upcomingByDay = new Map();
+        expenses.forEach(t => addTo(t.date <= today ? spentByDay : upcomingByDay, t.date, this.toBase(t)));
+        
+        const existingIds = new Set([...this.transactions, ...this.trash].map(t => t.id));
+        (this.settings.recurring || [])
+            .filter(schedule => !schedule.paused && schedule.type === 'expense')
+            .forEach(schedule => {
+                getDueDates(schedule, period.end)
+                    .filter(date => date > today && !existingIds.has(occurrenceId(schedule.id, date)))
+                    .forEach(date => addTo(upcomingByDay, date, this.toBase(schedule)));
+            });
+        
+        // Recurring items are counted on their own dates, so they stay out of the daily rate
+        const windowStart = addDays(today, -(FORECAST_WINDOW_DAYS - 1));
+        const daily = new Map();
+        for (let date = windowStart; date <= today; date = addDays(date, 1)) {
+            daily.set(date, 0);
+        }
+        this.transactions
+            .filter(t => t.type === 'expense' && !t.recurringId && daily.has(t.date))
+            .forEach(t => addTo(daily, t.date, this.toBase(t)));
+        const averages = movingAverage([...daily].map(([date, amount]) => ({ date, amount })), FORECAST_WINDOW_DAYS);
+        const dailyRate = averages[averages.length - 1].average;
+        
+        // Walk the period day by day to find when spending passes the budget
+        let running = 0;
+        let crossDate = null;
+        for (let date = period.start; date <= period.end; date = addDays(date, 1)) {
+            running += date <= today
+                ? spentByDay.get(date) || 0
+                : dailyRate + (upcomingByDay.get(date) || 0);
+            if (!crossDate && running > budget) {
+                crossDate = date;
+            }
+        }
+        
+        const spent = [...spentByDay.values()].reduce((sum, amount) => sum + amount, 0);
+        const upcoming = [...upcomingByDay.values()].reduce((sum, amount) => sum + amount, 0);
+        const daysLeft = daysBetween(today, period.end);
+        
+        return {
+            period,
+            budget,
+            spent,
+            upcoming,
+            dailyRate,
+            projected: running,
+            daysLeft,
+            safePerDay: Math.max(budget - spent - upcoming, 0) / daysLeft,
+            crossDate,
+            windowDays: FORECAST_WINDOW_DAYS
+        };
+    }
+
+    // Get every tag in use, most used first
+    getAllTags() {
+        const counts = new Map();
+        this.transactions.forEach(t => (t.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+        
+        return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([tag]) => tag);
+    }
+
+    // Get spending (and income) per tag in the base currency, biggest spend first
+    getTagBreakdown() {
+        const totals = new Map();
+        
+        this.transactions.forEach(t => {
+            (t.tags || []).forEach(tag => {
+                const entry = totals.get(tag) || { tag, count: 0, spent: 0, income: 0 };
+                entry.count++;
+                if (t.type === 'income') {
+                    entry.income += this.toBase(t);
+                } else if (t.type === 'expense') {
+                    entry.spent += this.toBase(t);
+                }
+                totals.set(tag, entry);
+            });
+        });
+        
+        return [...totals.values()].sort((a, b) => b.spent - a.spent || a.tag.localeCompare(b.tag));
+    }
+
+    // Expenses between two dates, with amounts (split lines too, so categories add up) in the base currency
+    getBaseExpenses({ start, end }) {
+        return this.transactions
+            .filter(t => t.type === 'expense' && t.date >= start && t.date <= end)
+            .map(t => ({
+                ...t,
+                amount: this.toBase(t),
+                ...(t.splits?.length && { splits: t.splits.map(line => ({ ...line, amount: this.toBase({ ...t, amount: line.amount }) })) })
+            }));
+    }
+
+    // Compare spending per category between two periods ({ start, end, label })
+    getPeriodComparison(first, second) {
+        return compareSpending(first, this.getBaseExpenses(first), second, this.getBaseExpenses(second));
+    }
+
+    // Choose the dates the analytics charts cover
+    setAnalyticsRange(preset, start = '', end = '') {
+        const error = checkDateRange(preset, start, end);
+        if (error) {
+            return { success: false, errors: [error] };
+        }
+        
+        this.analyticsRange = preset === 'custom' ? { preset, start, end } : { preset, start: '', end: '' };
+        this.notify();
+        return { success: true };
+    }
+
+    // Get spending per category and per month (with a moving average) over the analytics range
+    getAnalytics(today = toDateString(new Date())) {
+        const bounds = getRangeBounds(this.analyticsRange) || { start: '0000-01-01', end: '9999-12-31' };
+        
+        const expenses = this.getBaseExpenses(bounds).sort((a, b) => a.date.localeCompare(b.date));
+        
+        const categories = Object.entries(groupByCategory(expenses))
+            .map(([category, group]) => ({ category, total: group.total, count: group.count }))
+            .sort((a, b) => b.total - a.total || a.category.localeCompare(b.category));
+        
+        // Open-ended ranges run from the first expense to the last
+        const start = bounds.start === '0000-01-01' ? (expenses[0]?.date || today) : bounds.start;
+        const end = bounds.end === '9999-12-31' ? (expenses[expenses.length - 1]?.date || today) : bounds.end;
+        
+        // Every month in the range, including ones with no spending
+        const byMonth = groupByMonth(expenses);
+        const months = [];
+        let [year, month] = start.split('-').map(Number);
+        for (let key = start.slice(0, 7); key <= end.slice(0, 7); key = `${year}-${String(month).padStart(2, '0')}`) {
+            months.push({ month: key, total: byMonth[key]?.total || 0, count: byMonth[key]?.count || 0 });
+            month = month === 12 ? 1 : month + 1;
+            year = month === 1 ? year + 1 : year;
+        }
+        
+        // Averages start once a full window of months is available
+        const averages = movingAverage(months.map(m => ({ date: `${m.month}-01`, amount: m.total })), MOVING_AVERAGE_MONTHS);
+        months.forEach((m, index) => {
+            if (index >= MOVING_AVERAGE_MONTHS - 1) {
+                m.average = averages[index].average;
+            }
+        });
+        
+        return {
+            start,
+            end,
+            total: categories.reduce((sum, entry) => sum + entry.total, 0),
+            categories,
+            months,
+            averageMonths: MOVING_AVERAGE_MONTHS
+        };
+    }
+
+    // Get spending against each category envelope, most urgent first
+    getCategoryEnvelopes(period = this.getSelectedPeriod()) {
+        const limits = this.settings.categoryBudgets || {};
+        
+        const envelopes = Object.entries(limits)
+            .filter(([, limit]) => limit > 0)
+            .map(([category, limit]) => {
+                const spent = expandSplits(this.transactions)
+                    .filter(t => t.type === 'expense' && t.category === category && isInPeriod(t.date, period))
+                    .reduce((sum, t) => sum + this.toBase(t), 0);
+                const ratio = spent / limit;
+                
+                let status = 'ok';
+                if (spent > limit) {
+                    status = 'over';
+                } else if (ratio >= ENVELOPE_WARNING_RATIO) {
+                    status = 'near';
+                }
+                
+                return {
+                    category,
+                    limit,
+                    spent,
+                    ratio,
+                    status,
+                    percentage: Math.min(ratio * 100, 100),
+                    remaining: Math.max(limit - spent, 0),
+                    overspent: Math.max(spent - limit, 0)
+                };
+            });
+        
+        return envelopes.sort((a, b) => b.ratio - a.ratio);
+    }
+
+    // Budget available in a period, including any rolled-over balance
+    getPeriodBudget(period) {
+        const base = this.settings.monthlyBudget || 500;
+        
+        if (!this.settings.budgetRollover) {
+            return { base, carried: 0, total: base };
+        }
+        
+        // Bucket spending by period so the rollover chain is a single pass
+        const spendingByPeriod = {};
+        let earliest = period.start;
+        
+        this.transactions.forEach(t => {
+            if (t.type !== 'expense' || t.date >= period.start) return;
+            
+            const { start } = getPeriodRange(t.date, this.settings);
+            spendingByPeriod[start] = (spendingByPeriod[start] || 0) + this.toBase(t);
+            if (start < earliest) earliest = start;
+        });
+        
+        // Carry unspent (or overspent) amounts forward from the first period with spending
+        let carried = 0;
+        let cursor = getPeriodRange(earliest, this.settings);
+        
+        while (cursor.start < period.start) {
+            carried += base - (spendingByPeriod[cursor.start] || 0);
+            cursor = shiftPeriod(cursor, 1, this.settings);
+        }
+        
+        return { base, carried, total: base + carried };
+    }
+
     // Get trend data for last 7 days
     getLast7DaysTrend() {
         const today = new Date();
@@ -241,8 +944,8 @@ class AppState {
             const dateStr = date.toISOString().split('T')[0];
             
             const dayTotal = this.transactions
-                .filter(t => t.date === dateStr)
-                .reduce((sum, t) => sum + t.amount, 0);
+                .filter(t => t.date === dateStr && t.type === 'expense')
+                .reduce((sum, t) => sum + this.toBase(t), 0);
             
             trend.push({
                 date: dateStr,
@@ -254,15 +957,434 @@ class AppState {
         return trend;
     }
 
+    // Create transactions for every recurring occurrence that is now due
+    materialiseRecurring(today = toDateString(new Date())) {
+        const existingIds = new Set([...this.transactions, ...this.trash].map(t => t.id));
+        const created = [];
+        let schedulesChanged = false;
+        
+        const schedules = (this.settings.recurring || []).map(schedule => {
+            if (schedule.paused) return schedule;
+            
+            const dates = getDueDates(schedule, today);
+            if (!dates.length) return schedule;
+            
+            dates.forEach(date => {
+                const id = occurrenceId(schedule.id, date);
+                if (existingIds.has(id)) return;
+                
+                const now = getTimestamp();
+                created.push({
+                    id,
+                    description: schedule.description,
+                    amount: schedule.amount,
+                    category: schedule.category,
+                    date,
+                    type: schedule.type,
+                    currency: schedule.currency,
+                    recurringId: schedule.id,
+                    createdAt: now,
+                    updatedAt: now
+                });
+                existingIds.add(id);
+            });
+            
+            // Remember progress so deleted occurrences are not recreated
+            schedulesChanged = true;
+            return { ...schedule, lastGenerated: dates[dates.length - 1] };
+        });
+        
+        if (schedulesChanged) {
+            this.settings = { ...this.settings, recurring: schedules };
+            this.storeSettings();
+        }
+        
+        if (created.length) {
+            this.transactions = [...created, ...this.transactions];
+            this.persist(this.storage.putTransactions(created));
+            this.sync?.broadcast({ type: 'records', put: created, removed: [] });
+        }
+        
+        return created;
+    }
+
+    // Get a recurring schedule by ID
+    getSchedule(id) {
+        return (this.settings.recurring || []).find(s => s.id === id);
+    }
+
+    // Save recurring schedules, then catch up on anything now due
+    setSchedules(schedules, label = 'Change recurring schedules') {
+        const before = this.settings;
+        
+        this.settings = { ...this.settings, recurring: schedules };
+        this.storeSettings();
+        const created = this.materialiseRecurring();
+        
+        // Undoing also removes the occurrences the change created
+        this.history.push({
+            label,
+            before: { transactions: [], settings: before },
+            after: { transactions: created, settings: this.settings }
+        });
+        
+        this.applySearchAndSort();
+        this.notify();
+    }
+
+    // Add a recurring schedule
+    addSchedule(formData) {
+        const validation = validateSchedule({ currency: this.settings.baseCurrency, ...formData });
+        
+        if (!validation.isValid) {
+            throw new Error(Object.values(validation.errors)[0]);
+        }
+        
+        const schedule = {
+            id: generateId('rec'),
+            ...validation.cleaned,
+            paused: false,
+            lastGenerated: null
+        };
+        
+        this.setSchedules([...(this.settings.recurring || []), schedule], 'Add recurring schedule');
+        return schedule;
+    }
+
+    // Update a recurring schedule (occurrences already created are left as they are)
+    updateSchedule(id, formData) {
+        const validation = validateSchedule({ currency: this.settings.baseCurrency, ...formData });
+        
+        if (!validation.isValid) {
+            throw new Error(Object.values(validation.errors)[0]);
+        }
+        
+        if (!this.getSchedule(id)) {
+            throw new Error('Schedule not found');
+        }
+        
+        this.setSchedules(
+            this.settings.recurring.map(s => s.id === id ? { ...s, ...validation.cleaned } : s),
+            'Edit recurring schedule'
+        );
+    }
+
+    // Pause or resume a schedule; occurrences missed while paused are skipped
+    setSchedulePaused(id, paused) {
+        const yesterday = addDays(toDateString(new Date()), -1);
+        
+        this.setSchedules(this.settings.recurring.map(s => {
+            if (s.id !== id) return s;
+            if (paused) return { ...s, paused: true };
+            
+            const lastGenerated = s.lastGenerated && s.lastGenerated > yesterday ? s.lastGenerated : yesterday;
+            return { ...s, paused: false, lastGenerated };
+        }), paused ? 'Pause recurring schedule' : 'Resume recurring schedule');
+    }
+
+    // Delete a schedule (transactions it already created are kept)
+    deleteSchedule(id) {
+        this.setSchedules(this.settings.recurring.filter(s => s.id !== id), 'Delete recurring schedule');
+    }
+
+    // Get saved search presets
+    getSearchPresets() {
+        return this.settings.searchPresets || [];
+    }
+
+    // Replace the saved search presets as one undoable change
+    setSearchPresets(presets, label) {
+        this.execute({
+            label,
+            before: { settings: this.settings },
+            after: { settings: { ...this.settings, searchPresets: presets } }
+        });
+    }
+
+    // Save the current search and sort as a preset (replacing one with the same name)
+    saveSearchPreset(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            return { success: false, errors: ['Preset name is required'] };
+        }
+        
+        const presets = this.getSearchPresets();
+        const existing = presets.find(p => p.name.toLowerCase() === trimmed.toLowerCase());
+        const preset = {
+            id: existing?.id || generateId('preset'),
+            name: trimmed,
+            pattern: this.currentSearch.pattern,
+            caseSensitive: this.currentSearch.caseSensitive,
+            sort: this.currentSort
+        };
+        
+        this.setSearchPresets(
+            existing ? presets.map(p => p.id === existing.id ? preset : p) : [...presets, preset],
+            existing ? `Update preset "${trimmed}"` : `Save preset "${trimmed}"`
+        );
+        return { success: true, preset, replaced: Boolean(existing) };
+    }
+
+    // Delete a search preset
+    deleteSearchPreset(id) {
+        const preset = this.getSearchPresets().find(p => p.id === id);
+        if (!preset) return false;
+        
+        this.setSearchPresets(this.getSearchPresets().filter(p => p.id !== id), `Delete preset "${preset.name}"`);
+        return true;
+    }
+
+    // Add imported presets, skipping ones already saved under the same ID or name
+    importSearchPresets(presets) {
+        const current = this.getSearchPresets();
+        const ids = new Set(current.map(p => p.id));
+        const names = new Set(current.map(p => p.name.toLowerCase()));
+        const added = [];
+        
+        (Array.isArray(presets) ? presets : []).forEach(p => {
+            if (!p || typeof p.name !== 'string' || !p.name.trim() || typeof p.pattern !== 'string') return;
+            if (ids.has(p.id) || names.has(p.name.trim().toLowerCase())) return;
+            
+            const preset = {
+                id: p.id || generateId('preset'),
+                name: p.name.trim(),
+                pattern: p.pattern,
+                caseSensitive: Boolean(p.caseSensitive),
+                sort: typeof p.sort === 'string' ? p.sort : 'date-desc'
+            };
+            ids.add(preset.id);
+            names.add(preset.name.toLowerCase());
+            added.push(preset);
+        });
+        
+        if (added.length) {
+            this.setSearchPresets([...current, ...added], `Import ${added.length} search presets`);
+        }
+        return added.length;
+    }
+
+    // Make a preset the current search and sort; throws QueryError if its pattern no longer parses
+    applySearchPreset(id) {
+        const preset = this.getSearchPresets().find(p => p.id === id);
+        if (!preset) return null;
+        
+        const { query, error } = this.parsePreset(preset);
+        if (error) throw error;
+        
+        this.currentSort = preset.sort || this.currentSort;
+        this.currentSearch.pattern = preset.pattern;
+        this.currentSearch.caseSensitive = preset.caseSensitive;
+        this.currentSearch.query = query;
+        
+        this.applySearchAndSort();
+        this.notify();
+        return preset;
+    }
+
+    // Parse a preset's pattern once, keeping the query or the QueryError it raised
+    parsePreset(preset) {
+        let parsed = this.presetQueries.get(preset);
+        if (!parsed) {
+            try {
+                parsed = { query: parseQuery(preset.pattern, { caseSensitive: preset.caseSensitive }), error: null };
+            } catch (error) {
+                if (!(error instanceof QueryError)) throw error;
+                parsed = { query: null, error };
+            }
+            this.presetQueries.set(preset, parsed);
+        }
+        return parsed;
+    }
+
+    // Count the transactions a preset matches and total them in the base currency
+    getPresetSummary(preset) {
+        const { query, error } = this.parsePreset(preset);
+        if (error) {
+            return { valid: false, count: 0, expenses: 0, income: 0 };
+        }
+        
+        const matches = this.transactions.filter(t => matchesQuery(query, t));
+        const expenses = matches
+            .filter(t => t.type === 'expense')
+            .reduce((sum, t) => sum + this.toBase(t), 0);
+        const income = matches
+            .filter(t => t.type === 'income')
+            .reduce((sum, t) => sum + this.toBase(t), 0);
+        
+        return { valid: true, count: matches.length, expenses, income };
+    }
+
+    // Get the auto-categorisation rules in the order they are tried
+    getCategoryRules() {
+        return this.settings.categoryRules || [];
+    }
+
+    // Replace the rules as one undoable change
+    setCategoryRules(rules, label) {
+        this.execute({
+            label,
+            before: { settings: this.settings },
+            after: { settings: { ...this.settings, categoryRules: rules } }
+        });
+    }
+
+    // Add a rule after the existing ones
+    addCategoryRule(data) {
+        const validation = validateRule(data);
+        if (!validation.isValid) {
+            return { success: false, errors: Object.values(validation.errors) };
+        }
+        
+        const rule = { id: generateId('rule'), ...validation.cleaned };
+        this.setCategoryRules([...this.getCategoryRules(), rule], `Add rule for ${rule.category}`);
+        return { success: true, rule };
+    }
+
+    // Delete a rule
+    deleteCategoryRule(id) {
+        const rule = this.getCategoryRules().find(r => r.id === id);
+        if (!rule) return false;
+        
+        this.setCategoryRules(this.getCategoryRules().filter(r => r.id !== id), `Delete rule for ${rule.category}`);
+        return true;
+    }
+
+    // Move a rule earlier (negative offset) or later in the order
+    moveCategoryRule(id, offset) {
+        const rules = [...this.getCategoryRules()];
+        const index = rules.findIndex(r => r.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= rules.length) return false;
+        
+        const [rule] = rules.splice(index, 1);
+        rules.splice(target, 0, rule);
+        this.setCategoryRules(rules, `Reorder rule for ${rule.category}`);
+        return true;
+    }
+
+    // Get a function giving the category the rules pick for a description (null when none match)
+    getCategoriser() {
+        return createCategoriser(this.getCategoryRules());
+    }
+
+    // Category the rules give a description (null when none match)
+    suggestCategory(description) {
+        return this.getCategoriser()(description);
+    }
+
+    // Live transactions whose category the rules would change
+    previewCategoryRules() {
+        return previewRules(this.getCategoryRules(), this.transactions);
+    }
+
+    // Re-categorise existing transactions with the rules as one change
+    applyCategoryRules() {
+        const changes = new Map(this.previewCategoryRules().map(({ transaction, category }) => [transaction.id, category]));
+        
+        return this.updateMany([...changes.keys()], t => ({ ...t, category: changes.get(t.id) }),
+            n => `Re-categorise ${n} transactions`);
+    }
+
+    // Get the savings goals, soonest target date first
+    getSavingsGoals() {
+        return [...(this.settings.savingsGoals || [])].sort((a, b) => a.targetDate.localeCompare(b.targetDate));
+    }
+
+    // Get a savings goal by ID
+    getSavingsGoal(id) {
+        return (this.settings.savingsGoals || []).find(g => g.id === id);
+    }
+
+    // Replace the savings goals as one undoable change
+    setSavingsGoals(goals, label) {
+        this.execute({
+            label,
+            before: { settings: this.settings },
+            after: { settings: { ...this.settings, savingsGoals: goals } }
+        });
+    }
+
+    // Add a savings goal; its target is in the base currency at the time
+    addSavingsGoal(data, today = toDateString(new Date())) {
+        const validation = validateGoal(data, today);
+        if (!validation.isValid) {
+            return { success: false, errors: Object.values(validation.errors) };
+        }
+
+        const goal = {
+            id: generateId('goal'),
+            ...validation.cleaned,
+            currency: this.settings.baseCurrency,
+            createdAt: getTimestamp()
+        };
+        this.setSavingsGoals([...(this.settings.savingsGoals || []), goal], `Add savings goal "${goal.name}"`);
+        return { success: true, goal };
+    }
+
+    // Delete a savings goal (contributions and withdrawals already recorded are kept)
+    deleteSavingsGoal(id) {
+        const goal = this.getSavingsGoal(id);
+        if (!goal) return false;
+
+        this.setSavingsGoals(this.settings.savingsGoals.filter(g => g.id !== id), `Delete savings goal "${goal.name}"`);
+        return true;
+    }
+
+    // Add imported goals, skipping ones already saved under the same ID
+    importSavingsGoals(goals, today = toDateString(new Date())) {
+        const current = this.settings.savingsGoals || [];
+        const ids = new Set(current.map(g => g.id));
+        const added = [];
+
+        (Array.isArray(goals) ? goals : []).forEach(g => {
+            if (!g || !g.id || ids.has(g.id)) return;
+
+            // Goals whose date has passed still come in; only the date's format is checked
+            const validation = validateGoal({ ...g, target: String(g.target) }, '0000-01-01');
+            if (!validation.isValid || (g.currency && !this.hasRate(g.currency))) return;
+
+            ids.add(g.id);
+            added.push({
+                id: g.id,
+                ...validation.cleaned,
+                currency: g.currency || this.settings.baseCurrency,
+                createdAt: g.createdAt || getTimestamp()
+            });
+        });
+
+        if (added.length) {
+            this.setSavingsGoals([...current, ...added], `Import ${added.length} savings goals`);
+        }
+        return added.length;
+    }
+
+    // Get each goal with the amount saved towards it and what is still needed, in the base currency
+    getGoalProgress(today = toDateString(new Date())) {
+        return this.getSavingsGoals().map(goal => {
+            const moves = this.transactions.filter(t => t.goalId === goal.id);
+            const saved = moves.reduce((sum, t) => sum + (t.type === 'withdrawal' ? -1 : 1) * this.toBase(t), 0);
+            const target = this.toBase({ amount: goal.target, currency: goal.currency });
+
+            return {
+                goal,
+                target,
+                count: moves.length,
+                ...goalProgress(target, saved, goal.targetDate, today)
+            };
+        });
+    }
+
     // Set editing transaction
     setEditing(id) {
         this.editingId = id;
+        this.editingVersion = this.getTransaction(id)?.updatedAt || null;
         this.notify();
     }
 
     // Clear editing
     clearEditing() {
         this.editingId = null;
+        this.editingVersion = null;
         this.notify();
     }
 
@@ -271,22 +1393,91 @@ class AppState {
         return this.transactions.find(t => t.id === id);
     }
 
-    // Import transactions
+    // Save receipt files; resolves to the { id, name, type, size } details transactions list
+    async storeReceiptFiles(files) {
+        if (!this.storage.supportsReceipts) {
+            throw new Error('Receipts need IndexedDB, which this browser does not provide');
+        }
+        
+        for (const file of files) {
+            const validation = validateReceiptFile(file);
+            if (!validation.valid) {
+                throw new Error(validation.message);
+            }
+        }
+        
+        const createdAt = getTimestamp();
+        const records = files.map(file => ({
+            id: generateId('rcpt'),
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            createdAt,
+            blob: file
+        }));
+        
+        if (!await this.persist(this.storage.putReceipts(records))) {
+            throw new Error('Receipts could not be saved');
+        }
+        
+        return records.map(({ id, name, type, size }) => ({ id, name, type, size }));
+    }
+
+    // Save receipt records restored from a backup
+    async storeReceipts(records) {
+        if (!records.length) return true;
+        if (!this.storage.supportsReceipts) return false;
+        
+        return this.persist(this.storage.putReceipts(records));
+    }
+
+    // Get a stored receipt ({ id, name, type, size, blob }), or null if its file is missing
+    getReceipt(id) {
+        return this.storage.getReceipt(id);
+    }
+
+    // Get the stored receipts of every transaction, trash included
+    async getAllReceipts() {
+        const ids = new Set([...this.transactions, ...this.trash].flatMap(t => (t.receipts || []).map(r => r.id)));
+        const records = await Promise.all([...ids].map(id => this.storage.getReceipt(id)));
+        
+        return records.filter(Boolean);
+    }
+
+    // Delete files no transaction lists any more. Removing a receipt or purging a
+    // transaction is undoable, so files are only cleaned up here, when the app opens
+    async deleteOrphanedReceipts() {
+        if (!this.storage.supportsReceipts) return 0;
+        
+        const listed = new Set([...this.transactions, ...this.trash].flatMap(t => (t.receipts || []).map(r => r.id)));
+        const orphans = (await this.storage.listReceiptIds()).filter(id => !listed.has(id));
+        
+        if (orphans.length) {
+            await this.storage.deleteReceipts(orphans);
+        }
+        return orphans.length;
+    }
+
+    // Import transactions (records with an existing ID replace it)
     importTransactions(newTransactions) {
-        this.transactions = [...newTransactions, ...this.transactions];
-        this.applySearchAndSort();
-        saveTransactions(this.transactions);
-        this.notify();
+        const ids = new Set(newTransactions.map(t => t.id));
+        
+        this.execute({
+            label: `Import ${newTransactions.length} transactions`,
+            before: { transactions: [...this.transactions, ...this.trash].filter(t => ids.has(t.id)) },
+            after: { transactions: newTransactions }
+        });
     }
 
-    // Clear all transactions
+    // Move all transactions to the trash (undoable, so no confirmation is asked for)
     clearAll() {
-        if (confirm('Are you sure you want to delete all transactions?')) {
-            this.transactions = [];
-            this.filteredTransactions = [];
-            saveTransactions(this.transactions);
-            this.notify();
-        }
+        const deletedAt = getTimestamp();
+        
+        this.execute({
+            label: 'Clear all transactions',
+            before: { transactions: this.transactions },
+            after: { transactions: this.transactions.map(t => ({ ...t, deletedAt })) }
+        });
     }
 }
 
@@ -1,16 +1,41 @@
 // storage.js - Handles all data persistence operations
 
+import { convertCurrency, downloadAsFile } from './utilis.js';
+import { SCHEMA_VERSION, migrateData, parseVersion } from './migrations.js';
+import { createZip, readZip } from './zip.js';
+
 const STORAGE_KEY = 'finance_tracker:data';
 const SETTINGS_KEY = 'finance_tracker:settings';
+const SCHEMA_KEY = 'finance_tracker:schema';
+// Set once transactions have moved into IndexedDB; localStorage no longer holds them
+const MIGRATED_KEY = 'finance_tracker:migrated';
 
 // Default settings
 const DEFAULT_SETTINGS = {
     baseCurrency: 'USD',
     conversionRates: {
         EUR: 0.85,
-        GBP: 0.75
+        GBP: 0.75,
+        KES: 129
     },
+    // Budget per period (the key predates configurable periods)
     monthlyBudget: 500,
+    budgetPeriod: 'month',
+    periodStartDay: 1,
+    semesterStartMonth: 1,
+    budgetRollover: false,
+    // Optional per-category limits for each budget period, e.g. { Food: 150 }
+    categoryBudgets: {},
+    // Recurring transaction schedules
+    recurring: [],
+    // Days a deleted transaction stays in the trash before it is purged
+    trashRetentionDays: 30,
+    // Saved searches: { id, name, pattern, caseSensitive, sort }
+    searchPresets: [],
+    // Auto-categorisation rules, tried in order: { id, pattern, category }
+    categoryRules: [],
+    // Savings goals: { id, name, target, currency, targetDate, createdAt }
+    savingsGoals: [],
     categories: ['Food', 'Books', 'Transport', 'Entertainment', 'Fees', 'Other']
 };
 
@@ -36,11 +61,320 @@ export function saveTransactions(transactions) {
     }
 }
 
+// Storage adapters
+//
+// AppState talks to transaction storage through an adapter with this interface
+// (every method returns a promise):
+//   loadTransactions()        -> array of transactions
+//   putTransactions(records)  -> true/false; inserts or replaces records by id
+//   deleteTransactions(ids)   -> true/false
+//   replaceAll(records)       -> true/false; swaps the whole collection
+//
+// Receipt files live beside the transactions, which only list their metadata:
+//   supportsReceipts          -> (property) whether files can be stored at all
+//   putReceipts(records)      -> true/false; records are { id, name, type, size, blob }
+//   getReceipt(id)            -> the record, or null if it is missing
+//   deleteReceipts(ids)       -> true/false
+//   listReceiptIds()          -> ids of every stored receipt
+
+// Adapter for the original single-key localStorage format
+export class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+    }
+
+    async loadTransactions() {
+        return loadTransactions();
+    }
+
+    async putTransactions(records) {
+        const byId = new Map(loadTransactions().map(t => [t.id, t]));
+        records.forEach(record => byId.set(record.id, record));
+        return saveTransactions([...byId.values()]);
+    }
+
+    async deleteTransactions(ids) {
+        const remove = new Set(ids);
+        return saveTransactions(loadTransactions().filter(t => !remove.has(t.id)));
+    }
+
+    async replaceAll(records) {
+        return saveTransactions(records);
+    }
+
+    // Files would exhaust the localStorage quota, so this backend keeps none
+    get supportsReceipts() {
+        return false;
+    }
+
+    async putReceipts() {
+        return false;
+    }
+
+    async getReceipt() {
+        return null;
+    }
+
+    async deleteReceipts() {
+        return true;
+    }
+
+    async listReceiptIds() {
+        return [];
+    }
+}
+
+const DB_NAME = 'finance_tracker';
+const DB_VERSION = 2;
+const TRANSACTION_STORE = 'transactions';
+const META_STORE = 'meta';
+const RECEIPT_STORE = 'receipts';
+
+// Raised when the transactions live in IndexedDB but it cannot be opened
+export class StorageUnavailableError extends Error {
+    constructor(cause) {
+        super('Your transactions could not be loaded because this browser\'s database could not be opened. Reload the page to try again.');
+        this.name = 'StorageUnavailableError';
+        this.cause = cause;
+    }
+}
+
+// Wrap an IndexedDB request in a promise
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Open (and create or upgrade) the tracker database; onBlocked is called while
+// another open tab holds an older version, and the open waits until it closes
+function openDatabase(onBlocked) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+
+            if (!db.objectStoreNames.contains(TRANSACTION_STORE)) {
+                const store = db.createObjectStore(TRANSACTION_STORE, { keyPath: 'id' });
+                store.createIndex('date', 'date');
+                store.createIndex('category', 'category');
+            }
+
+            if (!db.objectStoreNames.contains(META_STORE)) {
+                db.createObjectStore(META_STORE);
+            }
+
+            // Version 2: receipt files, keyed by the ids transactions refer to
+            if (!db.objectStoreNames.contains(RECEIPT_STORE)) {
+                db.createObjectStore(RECEIPT_STORE, { keyPath: 'id' });
+            }
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+            // Step aside when a newer version of the app in another tab needs to upgrade
+            db.onversionchange = () => db.close();
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => onBlocked?.();
+    });
+}
+
+// Adapter storing one IndexedDB record per transaction
+export class IndexedDBAdapter {
+    constructor(db) {
+        this.name = 'indexedDB';
+        this.db = db;
+    }
+
+    // Open the database and move any localStorage data into it
+    static async open(onBlocked) {
+        const adapter = new IndexedDBAdapter(await openDatabase(onBlocked));
+        await adapter.migrateFromLocalStorage();
+        return adapter;
+    }
+
+    // Run work inside a transaction and resolve once it commits
+    run(stores, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(stores, mode);
+            const result = work(tx);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // Copy finance_tracker:data into IndexedDB the first time the database is used
+    async migrateFromLocalStorage() {
+        const migrated = await promisifyRequest(
+            this.db.transaction(META_STORE).objectStore(META_STORE).get('migratedFromLocalStorage')
+        );
+        if (migrated) {
+            // Databases migrated before the marker existed get it too
+            localStorage.setItem(MIGRATED_KEY, migrated);
+            return;
+        }
+
+        const hasLegacyData = localStorage.getItem(STORAGE_KEY) !== null;
+        const legacy = loadTransactions();
+
+        await this.run([TRANSACTION_STORE, META_STORE], 'readwrite', tx => {
+            const store = tx.objectStore(TRANSACTION_STORE);
+            legacy.forEach(record => store.put(record));
+            tx.objectStore(META_STORE).put(getTimestamp(), 'migratedFromLocalStorage');
+        });
+
+        // Free the localStorage quota only once the copy has committed
+        localStorage.setItem(MIGRATED_KEY, getTimestamp());
+        if (hasLegacyData) {
+            localStorage.removeItem(STORAGE_KEY);
+        }
+    }
+
+    async loadTransactions() {
+        try {
+            return await promisifyRequest(
+                this.db.transaction(TRANSACTION_STORE).objectStore(TRANSACTION_STORE).getAll()
+            );
+        } catch (error) {
+            console.error('Error loading transactions:', error);
+            return [];
+        }
+    }
+
+    async putTransactions(records) {
+        try {
+            await this.run(TRANSACTION_STORE, 'readwrite', tx => {
+                const store = tx.objectStore(TRANSACTION_STORE);
+                records.forEach(record => store.put(record));
+            });
+            return true;
+        } catch (error) {
+            console.error('Error saving transactions:', error);
+            return false;
+        }
+    }
+
+    async deleteTransactions(ids) {
+        try {
+            await this.run(TRANSACTION_STORE, 'readwrite', tx => {
+                const store = tx.objectStore(TRANSACTION_STORE);
+                ids.forEach(id => store.delete(id));
+            });
+            return true;
+        } catch (error) {
+            console.error('Error deleting transactions:', error);
+            return false;
+        }
+    }
+
+    async replaceAll(records) {
+        try {
+            await this.run(TRANSACTION_STORE, 'readwrite', tx => {
+                const store = tx.objectStore(TRANSACTION_STORE);
+                store.clear();
+                records.forEach(record => store.put(record));
+            });
+            return true;
+        } catch (error) {
+            console.error('Error saving transactions:', error);
+            return false;
+        }
+    }
+
+    get supportsReceipts() {
+        return true;
+    }
+
+    async putReceipts(records) {
+        try {
+            await this.run(RECEIPT_STORE, 'readwrite', tx => {
+                const store = tx.objectStore(RECEIPT_STORE);
+                records.forEach(record => store.put(record));
+            });
+            return true;
+        } catch (error) {
+            console.error('Error saving receipts:', error);
+            return false;
+        }
+    }
+
+    async getReceipt(id) {
+        try {
+            return await promisifyRequest(
+                this.db.transaction(RECEIPT_STORE).objectStore(RECEIPT_STORE).get(id)
+            ) || null;
+        } catch (error) {
+            console.error('Error loading receipt:', error);
+            return null;
+        }
+    }
+
+    async deleteReceipts(ids) {
+        try {
+            await this.run(RECEIPT_STORE, 'readwrite', tx => {
+                const store = tx.objectStore(RECEIPT_STORE);
+                ids.forEach(id => store.delete(id));
+            });
+            return true;
+        } catch (error) {
+            console.error('Error deleting receipts:', error);
+            return false;
+        }
+    }
+
+    async listReceiptIds() {
+        try {
+            return await promisifyRequest(
+                this.db.transaction(RECEIPT_STORE).objectStore(RECEIPT_STORE).getAllKeys()
+            );
+        } catch (error) {
+            console.error('Error listing receipts:', error);
+            return [];
+        }
+    }
+}
+
+// Pick the best available storage backend, falling back to localStorage only
+// while it still holds the transactions
+export async function createStorageAdapter({ onBlocked } = {}) {
+    let failure = null;
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            return await IndexedDBAdapter.open(onBlocked);
+        } catch (error) {
+            failure = error;
+        }
+    }
+
+    // After the move to IndexedDB, localStorage would show no transactions and lose new ones
+    if (localStorage.getItem(MIGRATED_KEY) !== null) {
+        throw new StorageUnavailableError(failure);
+    }
+
+    if (failure) {
+        console.error('IndexedDB unavailable, using localStorage:', failure);
+    }
+    return new LocalStorageAdapter();
+}
+
 // Load settings from localStorage
 export function loadSettings() {
     try {
         const data = localStorage.getItem(SETTINGS_KEY);
-        return data ? { ...DEFAULT_SETTINGS, ...JSON.parse(data) } : DEFAULT_SETTINGS;
+        if (!data) return DEFAULT_SETTINGS;
+        
+        const saved = JSON.parse(data);
+        return {
+            ...DEFAULT_SETTINGS,
+            ...saved,
+            // Keep default rates for currencies added after the settings were saved
+            conversionRates: { ...DEFAULT_SETTINGS.conversionRates, ...saved.conversionRates }
+        };
     } catch (error) {
         console.error('Error loading settings:', error);
         return DEFAULT_SETTINGS;
@@ -58,14 +392,36 @@ export function saveSettings(settings) {
     }
 }
 
-// Export data to JSON file
-export function exportToJSON(transactions, settings) {
-    const data = {
+// Load the schema version of the saved data (null if it was never recorded)
+export function loadSchemaVersion() {
+    const version = localStorage.getItem(SCHEMA_KEY);
+    return version === null ? null : parseVersion(version);
+}
+
+// Record that the saved data now matches a schema version
+export function saveSchemaVersion(version = SCHEMA_VERSION) {
+    try {
+        localStorage.setItem(SCHEMA_KEY, String(version));
+        return true;
+    } catch (error) {
+        console.error('Error saving schema version:', error);
+        return false;
+    }
+}
+
+// The document written by JSON exports and backups
+function buildExportData(transactions, settings) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
         transactions,
         settings,
-        exportDate: new Date().toISOString(),
-        version: '1.0'
+        exportDate: new Date().toISOString()
     };
+}
+
+// Export data to JSON file
+export function exportToJSON(transactions, settings) {
+    const data = buildExportData(transactions, settings);
     
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -76,40 +432,104 @@ export function exportToJSON(transactions, settings) {
     URL.revokeObjectURL(url);
 }
 
-// Export data to CSV file
-export function exportToCSV(transactions) {
+// Export a full backup: a zip holding data.json plus every receipt file under receipts/
+export async function exportBackup(transactions, settings, receipts) {
+    const data = buildExportData(transactions, settings);
+    
+    const blob = await createZip([
+        { name: 'data.json', data: JSON.stringify(data, null, 2) },
+        ...receipts.map(receipt => ({ name: `receipts/${receipt.id}`, data: receipt.blob }))
+    ]);
+    downloadAsFile(blob, `finance-tracker-backup-${new Date().toISOString().split('T')[0]}.zip`, 'application/zip');
+}
+
+// Export data to CSV file (amounts also converted into the base currency)
+export function exportToCSV(transactions, settings) {
     if (!transactions.length) {
         alert('No transactions to export');
         return;
     }
     
+    const blob = new Blob([transactionsToCSV(transactions, settings)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `finance-tracker-export-${new Date().toISOString().split('T')[0]}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Build the CSV text for transactions, quoting every cell (RFC 4180)
+export function transactionsToCSV(transactions, settings) {
     // Define CSV headers
-    const headers = ['ID', 'Description', 'Amount', 'Category', 'Date', 'Created At', 'Updated At'];
+    const baseCurrency = settings.baseCurrency;
+    const headers = ['ID', 'Description', 'Type', 'Amount', 'Currency', `Amount (${baseCurrency})`, 'Category', 'Date', 'Created At', 'Updated At', 'Tags'];
+    
+    // Exports that include the trash say when each trashed record was deleted
+    const includesTrash = transactions.some(t => t.deletedAt);
+    if (includesTrash) {
+        headers.push('Deleted At');
+    }
+    
+    // Split transactions get one row per line, so category totals add up in a spreadsheet
+    const includesSplits = transactions.some(t => t.splits?.length);
+    if (includesSplits) {
+        headers.push('Split Line', 'Transaction Amount');
+    }
     
     // Convert transactions to CSV rows
-    const rows = transactions.map(t => [
-        t.id,
-        t.description,
-        t.amount,
-        t.category,
-        t.date,
-        t.createdAt,
-        t.updatedAt
-    ]);
+    const rows = transactions.flatMap(t => {
+        const lines = t.splits?.length ? t.splits : [{ category: t.category, amount: t.amount }];
+        
+        return lines.map((line, index) => {
+            // Left blank when there is no rate, rather than writing NaN
+            const converted = convertCurrency(line.amount, t.currency, baseCurrency, settings.conversionRates);
+            
+            return [
+                t.id,
+                t.description,
+                t.type,
+                line.amount,
+                t.currency,
+                Number.isFinite(converted) ? converted.toFixed(2) : '',
+                line.category,
+                t.date,
+                t.createdAt,
+                t.updatedAt,
+                (t.tags || []).map(tag => `#${tag}`).join(' '),
+                ...(includesTrash ? [t.deletedAt || ''] : []),
+                ...(includesSplits ? [t.splits?.length ? `${index + 1} of ${lines.length}` : '', t.amount] : [])
+            ];
+        });
+    });
     
-    // Combine headers and rows
-    const csvContent = [
+    // Combine headers and rows, doubling any quotes inside a cell
+    return [
         headers.join(','),
-        ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
+        ...rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
     ].join('\n');
+}
+
+// Check, migrate, and validate the contents of an export
+function parseImportData(data, validateCallback) {
+    // Validate data structure
+    if (!data.transactions || !Array.isArray(data.transactions)) {
+        throw new Error('Invalid data format: missing transactions array');
+    }
     
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `finance-tracker-export-${new Date().toISOString().split('T')[0]}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
+    // Upgrade older exports; files from a newer app are refused outright
+    const fromVersion = parseVersion(data.schemaVersion ?? data.version);
+    const migrated = migrateData(data, fromVersion, { baseCurrency: loadSettings().baseCurrency });
+    
+    // Validate each transaction
+    const validTransactions = migrated.transactions.filter(t => validateCallback(t));
+    
+    return {
+        transactions: validTransactions,
+        settings: migrated.settings || null,
+        schemaVersion: fromVersion,
+        invalidCount: migrated.transactions.length - validTransactions.length
+    };
 }
 
 // Import data from JSON file
@@ -119,21 +539,7 @@ export function importFromJSON(file, validateCallback) {
         
         reader.onload = (e) => {
             try {
-                const data = JSON.parse(e.target.result);
-                
-                // Validate data structure
-                if (!data.transactions || !Array.isArray(data.transactions)) {
-                    throw new Error('Invalid data format: missing transactions array');
-                }
-                
-                // Validate each transaction
-                const validTransactions = data.transactions.filter(t => validateCallback(t));
-                
-                resolve({
-                    transactions: validTransactions,
-                    settings: data.settings || null,
-                    invalidCount: data.transactions.length - validTransactions.length
-                });
+                resolve(parseImportData(JSON.parse(e.target.result), validateCallback));
             } catch (error) {
                 reject(error);
             }
@@ -144,15 +550,47 @@ export function importFromJSON(file, validateCallback) {
     });
 }
 
+// Import a full backup; the result also carries the receipt records to store
+export async function importBackup(file, validateCallback) {
+    const entries = await readZip(file);
+    const json = entries.get('data.json');
+    if (!json) {
+        throw new Error('Not a tracker backup: data.json is missing');
+    }
+    
+    const result = parseImportData(JSON.parse(new TextDecoder().decode(json)), validateCallback);
+    
+    // File details come from the transactions that list each receipt
+    const receipts = new Map();
+    result.missingReceiptCount = 0;
+    result.transactions.forEach(t => {
+        (t.receipts || []).forEach(receipt => {
+            const bytes = entries.get(`receipts/${receipt.id}`);
+            if (!bytes) {
+                result.missingReceiptCount++;
+            } else if (!receipts.has(receipt.id)) {
+                receipts.set(receipt.id, { ...receipt, createdAt: getTimestamp(), blob: new Blob([bytes], { type: receipt.type }) });
+            }
+        });
+    });
+    result.receipts = [...receipts.values()];
+    
+    return result;
+}
+
 // Clear all data
 export function clearAllData() {
     localStorage.removeItem(STORAGE_KEY);
     localStorage.removeItem(SETTINGS_KEY);
+    localStorage.removeItem(SCHEMA_KEY);
 }
 
 // Generate unique ID
-export function generateId() {
-    return 'txn_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+export function generateId(prefix = 'txn') {
+    return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
-// Get current timestamp
\ No newline at end of file
+// Get current timestamp
+export function getTimestamp() {
+    return new Date().toISOString();
+}
\ No newline at end of file
@@ -0,0 +1,63 @@
+// sync.js - Keeps several open tabs of the tracker in step
+
+const CHANNEL_NAME = 'finance_tracker';
+const SYNC_KEY = 'finance_tracker:sync';
+
+// Raised when a record was changed in another tab since this tab last saw it
+export class ConflictError extends Error {
+    constructor(message, current = null) {
+        super(message);
+        this.name = 'ConflictError';
+        // The record as the other tab left it (null if it was deleted)
+        this.current = current;
+    }
+}
+
+// Messages sent between tabs:
+//   { type: 'records', put: [...records], removed: [...ids] }
+//   { type: 'settings', settings: {...} }
+//   { type: 'reload' }  (too large to send; re-read everything from storage)
+
+// Open a channel to the other tabs; onMessage receives whatever they broadcast
+export function createTabSync(onMessage) {
+    if (typeof BroadcastChannel !== 'undefined') {
+        const channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (event) => onMessage(event.data);
+
+        return {
+            broadcast: (message) => channel.postMessage(message),
+            close: () => channel.close()
+        };
+    }
+
+    // Fallback for older browsers: storage events fire in every other tab
+    const listener = (event) => {
+        if (event.key !== SYNC_KEY || !event.newValue) return;
+
+        try {
+            onMessage(JSON.parse(event.newValue).message);
+        } catch (error) {
+            console.error('Error reading change from another tab:', error);
+        }
+    };
+    window.addEventListener('storage', listener);
+
+    return {
+        broadcast(message) {
+            // The nonce makes repeated identical messages still count as a change
+            const write = (body) => localStorage.setItem(SYNC_KEY, JSON.stringify({ message: body, nonce: `${Date.now()}_${Math.random()}` }));
+
+            try {
+                write(message);
+            } catch (error) {
+                // Storage is nearly full; let the other tabs read the data themselves
+                try {
+                    write({ type: 'reload' });
+                } catch (retryError) {
+                    console.error('Error telling other tabs about a change:', retryError);
+                }
+            }
+        },
+        close: () => window.removeEventListener('storage', listener)
+    };
+}
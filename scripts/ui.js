@@ -1,14 +1,39 @@
 // ui.js - Handles all DOM updates and UI interactions
 
 import state from './state.js';
-import { compileRegex, highlightMatches, validateTransaction } from './validators.js';
-import { exportToJSON, exportToCSV, importFromJSON } from './storage.js';
+import { validateTransaction, validateDescription, validateAmount, validateCategory, validateDate, validateType, validateCurrency, validateSchedule, validateSplits, validateTags, validateReceiptFile, validateReceiptRecord, isSavingsType } from './validators.js';
+import { exportToJSON, exportToCSV, importFromJSON, exportBackup, importBackup } from './storage.js';
+import { nextOccurrence, describeFrequency } from './recurring.js';
+import { toDateString, addDays, parseDate } from './periods.js';
+import { detectHeaderRow, guessMapping, mapCSVRows, parseOFX, parseQIF, mapStatementRecords } from './importers.js';
+import { parseCSVRows, detectDelimiter, downloadAsFile } from './utilis.js';
+import { ConflictError } from './sync.js';
+import { createDonutChart, createTrendChart } from './charts.js';
+import { validateComparisonPeriod, comparisonToCSV } from './reports.js';
+import { parseQuery, getHighlights, highlightText, QueryError } from './search.js';
 
 class UIManager {
     constructor() {
         this.elements = {};
+        // Transactions table paging; rows are cached by ID so unchanged ones are reused
+        this.page = 1;
+        this.pageSize = 50;
+        this.rowCache = new Map();
+        this.rowCacheContext = null;
+        // IDs picked for bulk actions (always a subset of the current results)
+        this.selectedIds = new Set();
+        this.pageIds = [];
+        // Split transactions whose lines are shown under them
+        this.expandedSplits = new Set();
+        // Receipts in the form: ones already saved, and files picked but not yet stored
+        this.formReceipts = [];
+        this.pendingReceiptFiles = [];
+        // Object URL promises by receipt ID, shared by thumbnails and the viewer
+        this.receiptUrls = new Map();
+        this.receiptViewer = { receipts: [], index: 0 };
         this.initElements();
         this.initEventListeners();
+        this.initComparisonPeriods();
         this.initStateSubscription();
     }
 
@@ -23,11 +48,26 @@ class UIManager {
             
             // Forms
             transactionForm: document.getElementById('transaction-form'),
+            type: document.getElementById('type'),
+            goal: document.getElementById('goal'),
+            goalGroup: document.getElementById('goal-group'),
             description: document.getElementById('description'),
             amount: document.getElementById('amount'),
+            currency: document.getElementById('currency'),
             category: document.getElementById('category'),
+            tags: document.getElementById('tags'),
+            tagOptions: document.getElementById('tag-options'),
             date: document.getElementById('date'),
             saveBtn: document.getElementById('save-btn'),
+            splitToggle: document.getElementById('split-toggle'),
+            splitLinesGroup: document.getElementById('split-lines-group'),
+            splitLines: document.getElementById('split-lines'),
+            addSplitLine: document.getElementById('add-split-line'),
+            splitRemaining: document.getElementById('split-remaining'),
+            splitsError: document.getElementById('splits-error'),
+            receiptFiles: document.getElementById('receipt-files'),
+            receiptList: document.getElementById('receipt-list'),
+            receiptsError: document.getElementById('receipts-error'),
             cancelEdit: document.getElementById('cancel-edit'),
             
             // Search
@@ -36,31 +76,204 @@ class UIManager {
             clearSearch: document.getElementById('clear-search'),
             caseSensitive: document.getElementById('case-sensitive'),
             searchError: document.getElementById('search-error'),
+            searchPreset: document.getElementById('search-preset'),
+            deletePreset: document.getElementById('delete-preset'),
+            presetName: document.getElementById('preset-name'),
+            savePreset: document.getElementById('save-preset'),
             
             // Sort
             sortSelect: document.getElementById('sort-by'),
             
+            searchIncludeTrash: document.getElementById('search-include-trash'),
+            
+            // Date range
+            // Period comparison report
+            comparisonForm: document.getElementById('comparison-form'),
+            compareAKind: document.getElementById('compare-a-kind'),
+            compareAMonth: document.getElementById('compare-a-month'),
+            compareAMonthGroup: document.getElementById('compare-a-month-group'),
+            compareAStart: document.getElementById('compare-a-start'),
+            compareAEnd: document.getElementById('compare-a-end'),
+            compareACustomGroup: document.getElementById('compare-a-custom-group'),
+            compareBKind: document.getElementById('compare-b-kind'),
+            compareBMonth: document.getElementById('compare-b-month'),
+            compareBMonthGroup: document.getElementById('compare-b-month-group'),
+            compareBStart: document.getElementById('compare-b-start'),
+            compareBEnd: document.getElementById('compare-b-end'),
+            compareBCustomGroup: document.getElementById('compare-b-custom-group'),
+            compareSwap: document.getElementById('compare-swap'),
+            compareExport: document.getElementById('compare-export'),
+            comparisonError: document.getElementById('comparison-error'),
+            comparisonResults: document.getElementById('comparison-results'),
+            comparisonSummary: document.getElementById('comparison-summary'),
+            comparisonMovers: document.getElementById('comparison-movers'),
+            comparisonCaption: document.getElementById('comparison-caption'),
+            comparisonFirstHeading: document.getElementById('comparison-first-heading'),
+            comparisonSecondHeading: document.getElementById('comparison-second-heading'),
+            comparisonBody: document.getElementById('comparison-body'),
+            comparisonFoot: document.getElementById('comparison-foot'),
+            
+            budgetForecast: document.getElementById('budget-forecast'),
+            forecastProjection: document.getElementById('forecast-projection'),
+            forecastSafe: document.getElementById('forecast-safe'),
+            forecastBasis: document.getElementById('forecast-basis'),
+            analyticsRange: document.getElementById('analytics-range'),
+            analyticsRangeCustom: document.getElementById('analytics-range-custom'),
+            analyticsFrom: document.getElementById('analytics-from'),
+            analyticsTo: document.getElementById('analytics-to'),
+            categoryChart: document.getElementById('category-chart'),
+            monthlyChart: document.getElementById('monthly-chart'),
+            dateRange: document.getElementById('date-range'),
+            dateRangeCustom: document.getElementById('date-range-custom'),
+            dateFrom: document.getElementById('date-from'),
+            dateTo: document.getElementById('date-to'),
+            
+            // Pagination
+            pagePrev: document.getElementById('page-prev'),
+            pageNext: document.getElementById('page-next'),
+            pageInfo: document.getElementById('page-info'),
+            pageSize: document.getElementById('page-size'),
+            
+            // Bulk actions
+            selectAll: document.getElementById('select-all'),
+            bulkActions: document.getElementById('bulk-actions'),
+            bulkCount: document.getElementById('bulk-count'),
+            bulkSelectAll: document.getElementById('bulk-select-all'),
+            bulkClear: document.getElementById('bulk-clear'),
+            bulkCategory: document.getElementById('bulk-category'),
+            bulkCategoryOptions: document.getElementById('bulk-category-options'),
+            bulkCategoryBtn: document.getElementById('bulk-category-btn'),
+            bulkShiftDays: document.getElementById('bulk-shift-days'),
+            bulkShiftBtn: document.getElementById('bulk-shift-btn'),
+            bulkTag: document.getElementById('bulk-tag'),
+            bulkTagBtn: document.getElementById('bulk-tag-btn'),
+            bulkExportJson: document.getElementById('bulk-export-json'),
+            bulkExportCsv: document.getElementById('bulk-export-csv'),
+            bulkDelete: document.getElementById('bulk-delete'),
+            
+            // Category rules
+            ruleForm: document.getElementById('rule-form'),
+            rulePattern: document.getElementById('rule-pattern'),
+            ruleCategory: document.getElementById('rule-category'),
+            ruleCategoryOptions: document.getElementById('rule-category-options'),
+            ruleError: document.getElementById('rule-error'),
+            rulesList: document.getElementById('rules-list'),
+            rulesEmpty: document.getElementById('rules-empty'),
+            previewRules: document.getElementById('preview-rules'),
+            applyRules: document.getElementById('apply-rules'),
+            rulesPreview: document.getElementById('rules-preview'),
+            rulesPreviewSummary: document.getElementById('rules-preview-summary'),
+            rulesPreviewBody: document.getElementById('rules-preview-body'),
+            
+            // History
+            undoBtn: document.getElementById('undo-btn'),
+            redoBtn: document.getElementById('redo-btn'),
+            
             // Table
             transactionsBody: document.getElementById('transactions-body'),
             
             // Stats
             totalTransactions: document.getElementById('total-transactions'),
+            missingRates: document.getElementById('missing-rates'),
+            totalIncome: document.getElementById('total-income'),
             totalAmount: document.getElementById('total-amount'),
+            netBalance: document.getElementById('net-balance'),
             topCategory: document.getElementById('top-category'),
             budgetStatus: document.getElementById('budget-status'),
             budgetProgress: document.getElementById('budget-progress'),
             budgetMessage: document.getElementById('budget-message'),
+            budgetRolloverNote: document.getElementById('budget-rollover-note'),
+            periodLabel: document.getElementById('period-label'),
+            prevPeriod: document.getElementById('prev-period'),
+            nextPeriod: document.getElementById('next-period'),
             trendChart: document.getElementById('trend-chart'),
+            envelopesList: document.getElementById('envelopes-list'),
+            envelopesEmpty: document.getElementById('envelopes-empty'),
+            goalsList: document.getElementById('goals-list'),
+            goalsEmpty: document.getElementById('goals-empty'),
+            goalForm: document.getElementById('goal-form'),
+            goalName: document.getElementById('goal-name'),
+            goalTarget: document.getElementById('goal-target'),
+            goalDate: document.getElementById('goal-date'),
+            goalFormError: document.getElementById('goal-form-error'),
+            tagBreakdownList: document.getElementById('tag-breakdown-list'),
+            tagBreakdownEmpty: document.getElementById('tag-breakdown-empty'),
+            
+            // Recurring
+            recurringForm: document.getElementById('recurring-form'),
+            recurringType: document.getElementById('recurring-type'),
+            recurringDescription: document.getElementById('recurring-description'),
+            recurringAmount: document.getElementById('recurring-amount'),
+            recurringCurrency: document.getElementById('recurring-currency'),
+            recurringCategory: document.getElementById('recurring-category'),
+            recurringFrequency: document.getElementById('recurring-frequency'),
+            recurringInterval: document.getElementById('recurring-interval'),
+            recurringIntervalGroup: document.getElementById('recurring-interval-group'),
+            recurringStart: document.getElementById('recurring-start'),
+            recurringEnd: document.getElementById('recurring-end'),
+            recurringError: document.getElementById('recurring-error'),
+            recurringSave: document.getElementById('recurring-save'),
+            recurringCancel: document.getElementById('recurring-cancel'),
+            recurringBody: document.getElementById('recurring-body'),
+            
+            // Trash
+            trashBody: document.getElementById('trash-body'),
+            trashRetentionNote: document.getElementById('trash-retention-note'),
+            restoreAll: document.getElementById('restore-all'),
+            emptyTrash: document.getElementById('empty-trash'),
             
             // Settings
             baseCurrency: document.getElementById('base-currency'),
             rate1: document.getElementById('rate-1'),
             rate2: document.getElementById('rate-2'),
+            rate3: document.getElementById('rate-3'),
             monthlyBudget: document.getElementById('monthly-budget'),
+            budgetPeriod: document.getElementById('budget-period'),
+            periodStartDay: document.getElementById('period-start-day'),
+            periodStartDayGroup: document.getElementById('period-start-day-group'),
+            semesterStartMonth: document.getElementById('semester-start-month'),
+            semesterStartGroup: document.getElementById('semester-start-group'),
+            budgetRollover: document.getElementById('budget-rollover'),
+            categoryBudgets: document.getElementById('category-budgets'),
+            trashRetention: document.getElementById('trash-retention'),
+            exportIncludeTrash: document.getElementById('export-include-trash'),
             exportJson: document.getElementById('export-json'),
             exportCsv: document.getElementById('export-csv'),
+            exportBackup: document.getElementById('export-backup'),
             importFile: document.getElementById('import-file'),
             seedData: document.getElementById('seed-data'),
+            clearAll: document.getElementById('clear-all'),
+            
+            // CSV import dialog
+            importDialog: document.getElementById('import-dialog'),
+            importDialogHeading: document.getElementById('import-dialog-heading'),
+            importCSVOptions: document.getElementById('import-csv-options'),
+            importCSVMapping: document.getElementById('import-csv-mapping'),
+            importStatementOptions: document.getElementById('import-statement-options'),
+            statementDateGroup: document.getElementById('statement-date-group'),
+            statementDateFormat: document.getElementById('statement-date-format'),
+            statementCategory: document.getElementById('statement-category'),
+            statementCurrency: document.getElementById('statement-currency'),
+            importFileName: document.getElementById('import-file-name'),
+            importDelimiter: document.getElementById('import-delimiter'),
+            importHasHeader: document.getElementById('import-has-header'),
+            importDateFormat: document.getElementById('import-date-format'),
+            importDecimal: document.getElementById('import-decimal'),
+            importAmountSign: document.getElementById('import-amount-sign'),
+            importMappingSelects: document.querySelectorAll('.import-mapping select'),
+            importSummary: document.getElementById('import-summary'),
+            importPreviewBody: document.getElementById('import-preview-body'),
+            importConfirm: document.getElementById('import-confirm'),
+            importCancel: document.getElementById('import-cancel'),
+            
+            // Receipt viewer
+            receiptDialog: document.getElementById('receipt-dialog'),
+            receiptDialogName: document.getElementById('receipt-dialog-name'),
+            receiptView: document.getElementById('receipt-view'),
+            receiptPrev: document.getElementById('receipt-prev'),
+            receiptNext: document.getElementById('receipt-next'),
+            receiptDownload: document.getElementById('receipt-download'),
+            receiptClose: document.getElementById('receipt-close'),
             
             // Templates
             rowTemplate: document.getElementById('transaction-row-template')
@@ -82,10 +295,51 @@ class UIManager {
         this.elements.cancelEdit?.addEventListener('click', () => this.cancelEdit());
 
         // Real-time validation
-        this.elements.description?.addEventListener('input', () => this.validateField('description'));
-        this.elements.amount?.addEventListener('input', () => this.validateField('amount'));
-        this.elements.category?.addEventListener('input', () => this.validateField('category'));
+        this.elements.description?.addEventListener('input', () => {
+            this.validateField('description');
+            this.suggestCategory();
+        });
+        this.elements.amount?.addEventListener('input', () => {
+            this.validateField('amount');
+            this.updateSplitRemaining();
+        });
+        this.elements.category?.addEventListener('input', () => {
+            // A category typed by hand is never replaced by a rule
+            this.elements.category.dataset.autofilled = 'false';
+            this.validateField('category');
+        });
         this.elements.date?.addEventListener('input', () => this.validateField('date'));
+        this.elements.tags?.addEventListener('input', () => {
+            this.validateField('tags');
+            this.updateTagSuggestions();
+        });
+        this.elements.type?.addEventListener('change', () => {
+            this.validateField('type');
+            this.toggleGoalField();
+        });
+        this.elements.goal?.addEventListener('change', () => this.validateField('goal'));
+        this.elements.currency?.addEventListener('change', () => this.validateField('currency'));
+
+        // Split lines
+        this.elements.splitToggle?.addEventListener('click', () => {
+            if (this.elements.splitLinesGroup.hidden) {
+                this.openSplitEditor();
+            } else {
+                this.closeSplitEditor();
+            }
+        });
+        this.elements.addSplitLine?.addEventListener('click', () => this.addSplitLine());
+
+        // Receipts
+        this.elements.receiptFiles?.addEventListener('change', (e) => this.handleReceiptFiles(e));
+        this.elements.receiptPrev?.addEventListener('click', () => this.showReceipt(this.receiptViewer.index - 1));
+        this.elements.receiptNext?.addEventListener('click', () => this.showReceipt(this.receiptViewer.index + 1));
+        this.elements.receiptDownload?.addEventListener('click', () => this.downloadReceipt());
+        this.elements.receiptClose?.addEventListener('click', () => this.elements.receiptDialog.close());
+        this.elements.receiptDialog?.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft') this.showReceipt(this.receiptViewer.index - 1);
+            if (e.key === 'ArrowRight') this.showReceipt(this.receiptViewer.index + 1);
+        });
 
         // Search
         this.elements.searchBtn?.addEventListener('click', (e) => {
@@ -93,27 +347,133 @@ class UIManager {
             this.handleSearch();
         });
         this.elements.clearSearch?.addEventListener('click', () => this.clearSearch());
+        this.elements.searchIncludeTrash?.addEventListener('change', (e) => {
+            this.page = 1;
+            state.setIncludeTrash(e.target.checked);
+        });
         this.elements.searchInput?.addEventListener('keyup', (e) => {
             if (e.key === 'Enter') {
                 this.handleSearch();
             }
         });
+        this.elements.searchInput?.addEventListener('input', () => this.checkSearchSyntax());
+
+        // Saved search presets
+        this.elements.searchPreset?.addEventListener('change', (e) => this.handleApplyPreset(e.target.value));
+        this.elements.deletePreset?.addEventListener('click', () => this.handleDeletePreset());
+        this.elements.savePreset?.addEventListener('click', () => this.handleSavePreset());
+        this.elements.presetName?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.handleSavePreset();
+            }
+        });
 
         // Sort
         this.elements.sortSelect?.addEventListener('change', (e) => {
+            this.page = 1;
             state.setSort(e.target.value);
         });
 
+        // Selection and bulk actions
+        this.elements.selectAll?.addEventListener('change', (e) => this.selectPage(e.target.checked));
+        this.elements.bulkSelectAll?.addEventListener('click', () => this.selectAllMatching());
+        this.elements.bulkClear?.addEventListener('click', () => this.clearSelection());
+        this.elements.bulkCategoryBtn?.addEventListener('click', () => this.handleBulkCategory());
+        this.elements.bulkShiftBtn?.addEventListener('click', () => this.handleBulkShift());
+        this.elements.bulkTagBtn?.addEventListener('click', () => this.handleBulkTag());
+        this.elements.bulkExportJson?.addEventListener('click', () => exportToJSON(this.getSelectedTransactions(), state.settings));
+        this.elements.bulkExportCsv?.addEventListener('click', () => exportToCSV(this.getSelectedTransactions(), state.settings));
+        this.elements.bulkDelete?.addEventListener('click', () => this.handleBulkDelete());
+
+        // Savings goals
+        this.elements.goalForm?.addEventListener('submit', (e) => this.handleAddGoal(e));
+
+        // Category rules
+        this.elements.ruleForm?.addEventListener('submit', (e) => this.handleAddRule(e));
+        this.elements.previewRules?.addEventListener('click', () => this.renderRulesPreview());
+        this.elements.applyRules?.addEventListener('click', () => this.handleApplyRules());
+
+        // Date range
+        this.elements.dateRange?.addEventListener('change', () => this.handleDateRange());
+        
+        // Period comparison report
+        this.elements.comparisonForm?.addEventListener('change', () => this.renderComparison());
+        this.elements.comparisonForm?.addEventListener('submit', (e) => e.preventDefault());
+        this.elements.compareSwap?.addEventListener('click', () => this.swapComparisonPeriods());
+        this.elements.compareExport?.addEventListener('click', () => this.handleExportComparison());
+
+        [this.elements.analyticsRange, this.elements.analyticsFrom, this.elements.analyticsTo]
+            .forEach(input => input?.addEventListener('change', () => this.handleAnalyticsRange()));
+        this.elements.dateFrom?.addEventListener('change', () => this.handleDateRange());
+        this.elements.dateTo?.addEventListener('change', () => this.handleDateRange());
+
+        // Pagination
+        this.elements.pagePrev?.addEventListener('click', () => this.goToPage(this.page - 1));
+        this.elements.pageNext?.addEventListener('click', () => this.goToPage(this.page + 1));
+        this.elements.pageSize?.addEventListener('change', (e) => {
+            this.pageSize = parseInt(e.target.value, 10) || 50;
+            this.goToPage(1);
+        });
+
+        // Undo/redo (text fields keep their own native undo)
+        this.elements.undoBtn?.addEventListener('click', () => this.handleUndo());
+        this.elements.redoBtn?.addEventListener('click', () => this.handleRedo());
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+
+        // Recurring schedules
+        this.elements.recurringForm?.addEventListener('submit', (e) => this.handleRecurringSubmit(e));
+        this.elements.recurringCancel?.addEventListener('click', () => this.resetRecurringForm());
+        this.elements.recurringFrequency?.addEventListener('change', () => this.toggleIntervalField());
+
+        // Trash
+        this.elements.restoreAll?.addEventListener('click', () => {
+            const count = state.restoreFromTrash();
+            this.showUndoMessage(`Restored ${count} transactions`, 'success');
+        });
+        this.elements.emptyTrash?.addEventListener('click', () => {
+            const count = state.purgeFromTrash();
+            this.showUndoMessage(`Deleted ${count} transactions permanently`, 'warning');
+        });
+
         // Settings
         this.elements.baseCurrency?.addEventListener('change', () => this.saveSettings());
         this.elements.rate1?.addEventListener('input', () => this.saveSettings());
         this.elements.rate2?.addEventListener('input', () => this.saveSettings());
+        this.elements.rate3?.addEventListener('input', () => this.saveSettings());
         this.elements.monthlyBudget?.addEventListener('input', () => this.saveSettings());
+        this.elements.budgetPeriod?.addEventListener('change', () => this.saveSettings());
+        this.elements.periodStartDay?.addEventListener('change', () => this.saveSettings());
+        this.elements.semesterStartMonth?.addEventListener('change', () => this.saveSettings());
+        this.elements.budgetRollover?.addEventListener('change', () => this.saveSettings());
+        this.elements.categoryBudgets?.addEventListener('change', () => this.saveSettings());
+        this.elements.trashRetention?.addEventListener('change', () => this.saveSettings());
+        
+        // Budget period browsing
+        this.elements.prevPeriod?.addEventListener('click', () => state.setPeriodOffset(state.periodOffset - 1));
+        this.elements.nextPeriod?.addEventListener('click', () => state.setPeriodOffset(state.periodOffset + 1));
         
         this.elements.exportJson?.addEventListener('click', () => this.handleExport());
         this.elements.exportCsv?.addEventListener('click', () => this.handleExportCSV());
+        this.elements.exportBackup?.addEventListener('click', () => this.handleExportBackup());
         this.elements.importFile?.addEventListener('change', (e) => this.handleImport(e));
         this.elements.seedData?.addEventListener('click', () => this.loadSeedData());
+        this.elements.clearAll?.addEventListener('click', () => this.handleClearAll());
+        
+        // CSV import dialog
+        this.elements.importDelimiter?.addEventListener('change', () => this.parseCSVImport());
+        this.elements.importHasHeader?.addEventListener('change', () => this.fillMappingSelects());
+        [
+            this.elements.importDateFormat,
+            this.elements.importDecimal,
+            this.elements.importAmountSign,
+            ...this.elements.importMappingSelects,
+            this.elements.statementDateFormat,
+            this.elements.statementCategory,
+            this.elements.statementCurrency
+        ].forEach(select => select?.addEventListener('change', () => this.renderImportPreview()));
+        this.elements.importConfirm?.addEventListener('click', () => this.confirmImport());
+        this.elements.importCancel?.addEventListener('click', () => this.elements.importDialog.close());
 
         // Handle hash change for navigation
         window.addEventListener('hashchange', () => this.handleHashChange());
@@ -122,14 +482,154 @@ class UIManager {
 
     // Subscribe to state changes
     initStateSubscription() {
+        state.onError = (message) => this.showMessage(message, 'error');
+        state.onRemoteChange = (message) => this.handleRemoteChange(message);
+        
         state.subscribe(() => {
             this.render();
             this.updateStats();
             this.updateBudgetMessage();
+            this.renderForecast();
+            this.renderEnvelopes();
+            this.renderSavingsGoals();
+            this.renderTagBreakdown();
+            this.renderAnalytics();
             this.renderTrendChart();
+            this.renderComparison();
+            this.renderSchedules();
+            this.renderTrash();
+            this.renderSearchPresets();
+            this.renderRules();
+            this.updateHistoryButtons();
+        });
+    }
+
+    // Reflect what can be undone or redone in the toolbar
+    updateHistoryButtons() {
+        const undo = state.history.peekUndo();
+        const redo = state.history.peekRedo();
+        
+        if (this.elements.undoBtn) {
+            this.elements.undoBtn.disabled = !undo;
+            this.elements.undoBtn.title = undo ? `Undo: ${undo.label} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (this.elements.redoBtn) {
+            this.elements.redoBtn.disabled = !redo;
+            this.elements.redoBtn.title = redo ? `Redo: ${redo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        }
+    }
+
+    // Handle Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) outside text fields
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        
+        const target = e.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.handleUndo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.handleRedo();
+        }
+    }
+
+    // Undo the latest change (or only the given one, if nothing happened since)
+    handleUndo(expected = null) {
+        try {
+            const change = state.undo(expected);
+            if (!change) return;
+            
+            this.afterHistoryChange(change);
+            this.showMessage(`Undone: ${change.label}`, 'info');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    // Redo the latest undone change
+    handleRedo() {
+        try {
+            const change = state.redo();
+            if (!change) return;
+            
+            this.afterHistoryChange(change);
+            this.showMessage(`Redone: ${change.label}`, 'info');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    // Keep forms in step with changes made in another tab
+    handleRemoteChange(message) {
+        if (message.type === 'settings' || message.type === 'reload') {
+            this.loadSettings();
+        }
+        
+        const id = state.editingId;
+        if (!id) return;
+        
+        const touched = message.type === 'reload' ||
+            (message.type === 'records' && (message.removed.includes(id) || message.put.some(t => t.id === id)));
+        const current = state.getTransaction(id);
+        if (!touched || current?.updatedAt === state.editingVersion) return;
+        
+        if (!current) {
+            this.showMessage('The transaction you are editing was deleted in another tab.', 'warning', { duration: 0 });
+            return;
+        }
+        
+        this.showMessage('The transaction you are editing was changed in another tab.', 'warning', {
+            duration: 0,
+            action: {
+                label: 'Load latest',
+                onClick: () => {
+                    state.setEditing(id);
+                    this.populateFormForEdit(id);
+                }
+            }
+        });
+    }
+
+    // Bring forms back in line with state after undo or redo
+    afterHistoryChange(change) {
+        if (change.after.settings || change.before.settings) {
+            this.loadSettings();
+        }
+        
+        // Stop editing a transaction that no longer exists
+        if (state.editingId && !state.getTransaction(state.editingId)) {
+            this.cancelEdit();
+        }
+        if (this.editingScheduleId && !state.getSchedule(this.editingScheduleId)) {
+            this.resetRecurringForm();
+        }
+    }
+
+    // Show a message offering to undo the change just made
+    showUndoMessage(text, type = 'info') {
+        const change = state.history.peekUndo();
+        
+        this.showMessage(text, type, {
+            duration: 6000,
+            action: change && { label: 'Undo', onClick: () => this.handleUndo(change) }
         });
     }
 
+    // Delete every transaction, with an undo in place of a confirmation
+    handleClearAll() {
+        if (!state.transactions.length) {
+            this.showMessage('There are no transactions to clear', 'info');
+            return;
+        }
+        
+        const count = state.transactions.length;
+        state.clearAll();
+        this.showUndoMessage(`Moved all ${count} transactions to the trash`, 'warning');
+    }
+
     // Toggle mobile menu
     toggleMobileMenu() {
         const isExpanded = this.elements.mobileMenuBtn?.getAttribute('aria-expanded') === 'true';
@@ -167,14 +667,32 @@ class UIManager {
     }
 
     // Handle form submit
-    handleFormSubmit(e) {
+    async handleFormSubmit(e) {
         e.preventDefault();
         
+        // Newly picked receipt files are stored first so the transaction can list them
+        let receipts = [...this.formReceipts];
+        try {
+            if (this.pendingReceiptFiles.length) {
+                receipts = await this.storeFormReceipts();
+            }
+        } catch (error) {
+            this.elements.receiptsError.textContent = error.message;
+            this.showMessage(error.message, 'error');
+            return;
+        }
+        
         const formData = {
+            type: this.elements.type.value,
             description: this.elements.description.value,
             amount: this.elements.amount.value,
+            currency: this.elements.currency.value,
             category: this.elements.category.value,
-            date: this.elements.date.value
+            date: this.elements.date.value,
+            tags: this.elements.tags.value,
+            splits: this.getSplitLines(),
+            goalId: isSavingsType(this.elements.type.value) ? this.elements.goal.value : null,
+            receipts
         };
 
         try {
@@ -188,10 +706,44 @@ class UIManager {
             
             this.resetForm();
         } catch (error) {
-            this.showMessage(error.message, 'error');
+            if (error instanceof ConflictError && error.current) {
+                this.showConflict(error, formData);
+            } else {
+                this.showMessage(error.message, 'error');
+            }
         }
     }
 
+    // Let the user keep the other tab's version or save theirs over it
+    showConflict(error, formData) {
+        const id = state.editingId;
+        
+        this.showMessage(`${error.message} Load the latest version, or save yours over it.`, 'warning', {
+            duration: 0,
+            actions: [
+                {
+                    label: 'Load latest',
+                    onClick: () => {
+                        state.setEditing(id);
+                        this.populateFormForEdit(id);
+                    }
+                },
+                {
+                    label: 'Save mine',
+                    onClick: () => {
+                        try {
+                            state.updateTransaction(id, formData, { force: true });
+                            this.showMessage('Transaction updated successfully', 'success');
+                            this.resetForm();
+                        } catch (retryError) {
+                            this.showMessage(retryError.message, 'error');
+                        }
+                    }
+                }
+            ]
+        });
+    }
+
     // Validate individual field
     validateField(fieldName) {
         const input = this.elements[fieldName];
@@ -215,6 +767,18 @@ class UIManager {
             case 'date':
                 validation = validateDate(value);
                 break;
+            case 'type':
+                validation = validateType(value);
+                break;
+            case 'currency':
+                validation = validateCurrency(value);
+                break;
+            case 'tags':
+                validation = validateTags(value);
+                break;
+            case 'goal':
+                validation = value ? { valid: true } : { valid: false, message: 'Choose a savings goal' };
+                break;
             default:
                 return;
         }
@@ -237,15 +801,33 @@ class UIManager {
         const pattern = this.elements.searchInput.value;
         const caseSensitive = this.elements.caseSensitive.checked;
         
-        const regex = compileRegex(pattern, caseSensitive ? 'g' : 'gi');
-        
-        if (regex && regex.error) {
-            this.elements.searchError.textContent = `Invalid regex: ${regex.error}`;
-            return;
+        try {
+            this.page = 1;
+            state.setSearch(pattern, caseSensitive);
+            this.elements.searchError.textContent = '';
+            this.elements.searchInput.setAttribute('aria-invalid', 'false');
+        } catch (error) {
+            if (!(error instanceof QueryError)) throw error;
+            this.showSearchError(error);
         }
-        
-        this.elements.searchError.textContent = '';
-        state.setSearch(pattern, caseSensitive);
+    }
+
+    // Report query mistakes while typing, before the search is run
+    checkSearchSyntax() {
+        try {
+            parseQuery(this.elements.searchInput.value, { caseSensitive: this.elements.caseSensitive.checked });
+            this.elements.searchError.textContent = '';
+            this.elements.searchInput.setAttribute('aria-invalid', 'false');
+        } catch (error) {
+            if (!(error instanceof QueryError)) throw error;
+            this.showSearchError(error);
+        }
+    }
+
+    // Show a query error next to the search box
+    showSearchError(error) {
+        this.elements.searchError.textContent = error.message;
+        this.elements.searchInput.setAttribute('aria-invalid', 'true');
     }
 
     // Clear search
@@ -253,162 +835,1699 @@ class UIManager {
         this.elements.searchInput.value = '';
         this.elements.caseSensitive.checked = false;
         this.elements.searchError.textContent = '';
+        this.elements.searchInput.setAttribute('aria-invalid', 'false');
+        if (this.elements.searchPreset) {
+            this.elements.searchPreset.value = '';
+            this.elements.deletePreset.disabled = true;
+        }
+        this.page = 1;
         state.setSearch('', false);
     }
 
-    // Cancel editing
-    cancelEdit() {
-        state.clearEditing();
-        this.resetForm();
-    }
-
-    // Reset form
-    resetForm() {
-        this.elements.transactionForm.reset();
-        this.elements.saveBtn.textContent = 'Save Transaction';
-        state.clearEditing();
+    // Fill the preset dropdown with each preset's live count and total
+    renderSearchPresets() {
+        const select = this.elements.searchPreset;
+        if (!select) return;
         
-        // Clear validation errors
-        ['description', 'amount', 'category', 'date'].forEach(field => {
-            const errorDiv = document.getElementById(`${field}-error`);
-            if (errorDiv) errorDiv.textContent = '';
+        const selected = select.value;
+        const presets = state.getSearchPresets();
+        
+        select.innerHTML = `<option value="">${presets.length ? 'Choose a saved search…' : 'No saved searches yet'}</option>`;
+        
+        presets.forEach(preset => {
+            const summary = state.getPresetSummary(preset);
+            let detail = 'invalid search';
+            if (summary.valid) {
+                detail = `${summary.count} · ${this.formatCurrency(summary.expenses)}`;
+                if (summary.income > 0) {
+                    detail += ` + ${this.formatCurrency(summary.income)} income`;
+                }
+            }
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = `${preset.name} (${detail})`;
+            select.appendChild(option);
         });
+        
+        select.value = presets.some(p => p.id === selected) ? selected : '';
+        this.elements.deletePreset.disabled = !select.value;
     }
 
-    // Populate form for editing
-    populateFormForEdit(id) {
-        const transaction = state.getTransaction(id);
-        if (!transaction) return;
+    // Run a saved search and show it in the search controls
+    handleApplyPreset(id) {
+        this.elements.deletePreset.disabled = !id;
+        if (!id) return;
+        
+        try {
+            this.page = 1;
+            const preset = state.applySearchPreset(id);
+            if (!preset) return;
+            
+            this.elements.searchInput.value = preset.pattern;
+            this.elements.caseSensitive.checked = preset.caseSensitive;
+            this.elements.sortSelect.value = state.currentSort;
+            this.elements.presetName.value = preset.name;
+            this.elements.searchError.textContent = '';
+            this.elements.searchInput.setAttribute('aria-invalid', 'false');
+        } catch (error) {
+            if (!(error instanceof QueryError)) throw error;
+            this.showSearchError(error);
+        }
+    }
 
-        this.elements.description.value = transaction.description;
-        this.elements.amount.value = transaction.amount;
-        this.elements.category.value = transaction.category;
-        this.elements.date.value = transaction.date;
+    // Save the search that is currently applied under the typed name
+    handleSavePreset() {
+        const result = state.saveSearchPreset(this.elements.presetName.value);
         
-        this.elements.saveBtn.textContent = 'Update Transaction';
+        if (!result.success) {
+            this.showMessage(result.errors.join(', '), 'error');
+            this.elements.presetName.focus();
+            return;
+        }
         
-        // Scroll to form
-        document.getElementById('add').scrollIntoView({ behavior: 'smooth' });
+        this.elements.searchPreset.value = result.preset.id;
+        this.elements.deletePreset.disabled = false;
+        this.showUndoMessage(`${result.replaced ? 'Updated' : 'Saved'} search "${result.preset.name}"`, 'success');
     }
 
-    // Render transactions table
-    render() {
-        const transactions = state.filteredTransactions;
-        const tbody = this.elements.transactionsBody;
+    // Delete the selected preset
+    handleDeletePreset() {
+        const id = this.elements.searchPreset.value;
+        const preset = state.getSearchPresets().find(p => p.id === id);
         
-        if (!tbody) return;
+        if (preset && state.deleteSearchPreset(id)) {
+            this.elements.presetName.value = '';
+            this.showUndoMessage(`Deleted saved search "${preset.name}"`, 'success');
+        }
+    }
 
-        if (transactions.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="5" class="empty-state">No transactions found</td></tr>';
-            return;
+    // Filter transactions by the chosen date range
+    handleDateRange() {
+        const preset = this.elements.dateRange.value;
+        const isCustom = preset === 'custom';
+        this.elements.dateRangeCustom.hidden = !isCustom;
+        
+        this.page = 1;
+        const result = state.setDateRange(
+            preset,
+            isCustom ? this.elements.dateFrom.value : '',
+            isCustom ? this.elements.dateTo.value : ''
+        );
+        
+        if (!result.success) {
+            this.showMessage(result.errors.join(', '), 'error');
         }
+    }
 
-        tbody.innerHTML = '';
+    // Show another page of transactions
+    goToPage(page) {
+        this.page = Math.max(1, page);
+        this.render();
+    }
+
+    // Update the page buttons and the "x–y of z" summary
+    updatePagination(total, firstIndex, shown, pageCount) {
+        if (!this.elements.pageInfo) return;
         
-        transactions.forEach(transaction => {
-            const row = this.createTransactionRow(transaction);
-            tbody.appendChild(row);
-        });
+        this.elements.pageInfo.textContent = total > 0
+            ? `${firstIndex + 1}–${firstIndex + shown} of ${total} · page ${this.page} of ${pageCount}`
+            : '';
+        this.elements.pagePrev.disabled = this.page <= 1;
+        this.elements.pageNext.disabled = this.page >= pageCount;
     }
 
-    // Create transaction row
-    createTransactionRow(transaction) {
-        const template = this.elements.rowTemplate.content.cloneNode(true);
-        const row = template.querySelector('.transaction-row');
+    // Offer existing tags to finish the one being typed
+    updateTagSuggestions() {
+        const input = this.elements.tags;
+        const list = this.elements.tagOptions;
+        if (!input || !list) return;
         
-        const cells = row.querySelectorAll('td');
-        const descriptionCell = cells[0];
-        const amountCell = cells[1];
-        const categoryCell = cells[2];
-        const dateCell = cells[3];
-        const actionsCell = cells[4];
-        
-        // Apply search highlighting if needed
-        if (state.currentSearch.regex && !state.currentSearch.regex.error) {
-            descriptionCell.innerHTML = highlightMatches(transaction.description, state.currentSearch.regex);
-            amountCell.innerHTML = highlightMatches(`$${transaction.amount.toFixed(2)}`, state.currentSearch.regex);
-            categoryCell.innerHTML = highlightMatches(transaction.category, state.currentSearch.regex);
-            dateCell.innerHTML = highlightMatches(transaction.date, state.currentSearch.regex);
-        } else {
-            descriptionCell.textContent = transaction.description;
-            amountCell.textContent = `$${transaction.amount.toFixed(2)}`;
-            categoryCell.textContent = transaction.category;
-            dateCell.textContent = transaction.date;
-        }
+        // Suggestions replace the last word, keeping the tags already typed
+        const value = input.value;
+        const start = value.search(/[^\s,]*$/);
+        const prefix = value.slice(0, start);
+        const partial = value.slice(start).replace(/^#/, '').toLowerCase();
+        const typed = new Set(prefix.split(/[\s,]+/).map(tag => tag.replace(/^#/, '').toLowerCase()));
         
-        // Add edit button
-        const editBtn = actionsCell.querySelector('.edit-btn');
-        editBtn.addEventListener('click', () => {
-            state.setEditing(transaction.id);
-            this.populateFormForEdit(transaction.id);
-        });
+        list.innerHTML = '';
+        state.getAllTags()
+            .filter(tag => !typed.has(tag) && tag.startsWith(partial))
+            .slice(0, 20)
+            .forEach(tag => {
+                const option = document.createElement('option');
+                option.value = `${prefix}#${tag}`;
+                list.appendChild(option);
+            });
+    }
+
+    // Create the chips shown for a transaction's tags
+    createTagChips(tags) {
+        const chips = document.createElement('span');
+        chips.className = 'tag-chips';
         
-        // Add delete button
-        const deleteBtn = actionsCell.querySelector('.delete-btn');
-        deleteBtn.addEventListener('click', () => {
-            if (state.deleteTransaction(transaction.id)) {
-                this.showMessage('Transaction deleted', 'info');
-            }
+        tags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'tag-chip';
+            chip.textContent = `#${tag}`;
+            chips.appendChild(chip);
         });
         
-        // Add animation class if new
-        if (Date.now() - new Date(transaction.createdAt).getTime() < 5000) {
-            row.classList.add('new');
-            setTimeout(() => row.classList.remove('new'), 1000);
-        }
+        return chips;
+    }
+
+    // Show the split editor, starting from the given lines or the whole amount in the current category
+    openSplitEditor(lines = null) {
+        const group = this.elements.splitLinesGroup;
+        if (!group) return;
         
-        return row;
+        this.elements.splitLines.innerHTML = '';
+        const startLines = lines || [
+            { category: this.elements.category.value.trim(), amount: this.elements.amount.value },
+            { category: '', amount: '' }
+        ];
+        startLines.forEach(line => this.addSplitLine(line));
+        
+        group.hidden = false;
+        this.elements.splitToggle.setAttribute('aria-expanded', 'true');
+        this.elements.splitToggle.textContent = 'Don\'t split';
+        
+        // The lines decide the category while the transaction is split
+        this.elements.category.disabled = true;
+        this.updateSplitRemaining();
     }
 
-    // Update stats display
-    updateStats() {
-        const stats = state.getStats();
+    // Hide the split editor and go back to a single category
+    closeSplitEditor() {
+        const group = this.elements.splitLinesGroup;
+        if (!group) return;
         
-        this.elements.totalTransactions.textContent = stats.total;
-        this.elements.totalAmount.textContent = this.formatCurrency(stats.totalAmount);
-        this.elements.topCategory.textContent = stats.topCategory;
+        group.hidden = true;
+        this.elements.splitLines.innerHTML = '';
+        this.elements.splitsError.textContent = '';
+        this.elements.splitToggle.setAttribute('aria-expanded', 'false');
+        this.elements.splitToggle.textContent = 'Split across categories';
+        this.elements.category.disabled = false;
+    }
+
+    // Add a category/amount line to the split editor
+    addSplitLine({ category = '', amount = '' } = {}) {
+        const line = document.createElement('div');
+        line.className = 'split-line';
         
-        const budgetStatus = `${this.formatCurrency(stats.budget.used)} / ${this.formatCurrency(stats.budget.total)}`;
-        this.elements.budgetStatus.textContent = budgetStatus;
+        const categoryInput = document.createElement('input');
+        categoryInput.type = 'text';
+        categoryInput.className = 'split-category';
+        categoryInput.placeholder = 'Category';
+        categoryInput.value = category;
+        categoryInput.setAttribute('aria-label', 'Split line category');
         
-        const percentage = stats.budget.percentage;
-        this.elements.budgetProgress.style.width = `${percentage}%`;
-        this.elements.budgetProgress.setAttribute('aria-valuenow', percentage);
+        const amountInput = document.createElement('input');
+        amountInput.type = 'text';
+        amountInput.inputMode = 'decimal';
+        amountInput.className = 'split-amount';
+        amountInput.placeholder = '0.00';
+        amountInput.value = amount;
+        amountInput.setAttribute('aria-label', 'Split line amount');
+        amountInput.addEventListener('input', () => this.updateSplitRemaining());
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'secondary';
+        removeBtn.textContent = '✕';
+        removeBtn.setAttribute('aria-label', 'Remove split line');
+        removeBtn.addEventListener('click', () => {
+            line.remove();
+            this.updateSplitRemaining();
+        });
+        
+        line.append(categoryInput, amountInput, removeBtn);
+        this.elements.splitLines.appendChild(line);
     }
 
-    // Update budget message
-    updateBudgetMessage() {
-        const stats = state.getStats();
-        const message = this.elements.budgetMessage;
+    // Read the split lines, or null when the transaction is not split
+    getSplitLines() {
+        if (!this.elements.splitLinesGroup || this.elements.splitLinesGroup.hidden) return null;
         
-        if (stats.budget.isOverBudget) {
-            message.textContent = `⚠️ Alert: You've exceeded your budget by ${this.formatCurrency(stats.budget.overspent)}`;
-            message.setAttribute('aria-live', 'assertive');
-            message.classList.add('warning');
-        } else {
-            message.textContent = `You have ${this.formatCurrency(stats.budget.remaining)} remaining in your budget`;
-            message.setAttribute('aria-live', 'polite');
-            message.classList.remove('warning');
-        }
+        return [...this.elements.splitLines.querySelectorAll('.split-line')].map(line => ({
+            category: line.querySelector('.split-category').value,
+            amount: line.querySelector('.split-amount').value
+        }));
     }
 
-    // Render trend chart
-    renderTrendChart() {
-        const stats = state.getStats();
-        const chart = this.elements.trendChart;
+    // Show how much of the total the split lines have yet to cover
+    updateSplitRemaining() {
+        const lines = this.getSplitLines();
+        if (!lines) return;
         
-        if (!chart) return;
+        const totalCents = Math.round((parseFloat(this.elements.amount.value) || 0) * 100);
+        const linesCents = lines.reduce((sum, line) => sum + Math.round((parseFloat(line.amount) || 0) * 100), 0);
+        const difference = (totalCents - linesCents) / 100;
         
-        chart.innerHTML = '';
+        if (difference === 0) {
+            this.elements.splitRemaining.textContent = 'The lines add up to the total';
+        } else if (difference > 0) {
+            this.elements.splitRemaining.textContent = `${difference.toFixed(2)} left to allocate`;
+        } else {
+            this.elements.splitRemaining.textContent = `Lines are ${Math.abs(difference).toFixed(2)} over the total`;
+        }
         
-        const maxAmount = Math.max(...stats.last7Days.map(d => d.amount), 1);
+        const validation = validateSplits(lines, this.elements.amount.value);
+        this.elements.splitsError.textContent = validation.valid || difference !== 0 ? '' : validation.message;
+    }
+
+    // Queue receipt files picked in the form; they are stored when the transaction is saved
+    handleReceiptFiles(e) {
+        const errors = [];
         
-        stats.last7Days.forEach(day => {
-            const height = (day.amount / maxAmount) * 100;
-            
+        [...e.target.files].forEach(file => {
+            const validation = validateReceiptFile(file);
+            if (validation.valid) {
+                this.pendingReceiptFiles.push(file);
+            } else {
+                errors.push(validation.message);
+            }
+        });
+        
+        this.elements.receiptsError.textContent = errors.join(' ');
+        e.target.value = '';
+        this.renderFormReceipts();
+    }
+
+    // List the form's receipts, each with a button to remove it
+    renderFormReceipts() {
+        const list = this.elements.receiptList;
+        if (!list) return;
+        
+        list.innerHTML = '';
+        const entries = [
+            ...this.formReceipts.map((receipt, index) => ({ receipt, remove: () => this.formReceipts.splice(index, 1) })),
+            ...this.pendingReceiptFiles.map((file, index) => ({ receipt: file, pending: true, remove: () => this.pendingReceiptFiles.splice(index, 1) }))
+        ];
+        
+        entries.forEach(({ receipt, pending, remove }) => {
+            const item = document.createElement('li');
+            
+            const name = document.createElement('span');
+            name.textContent = `${receipt.name} (${this.formatFileSize(receipt.size)}${pending ? ', not saved yet' : ''})`;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'secondary';
+            removeBtn.textContent = '✕';
+            removeBtn.setAttribute('aria-label', `Remove receipt ${receipt.name}`);
+            removeBtn.addEventListener('click', () => {
+                remove();
+                this.renderFormReceipts();
+            });
+            
+            item.append(name, removeBtn);
+            list.appendChild(item);
+        });
+    }
+
+    // Store the receipt files picked in the form and return every receipt it now lists
+    async storeFormReceipts() {
+        const stored = await state.storeReceiptFiles(this.pendingReceiptFiles);
+        
+        // Stored files count as saved even if the transaction then fails validation
+        this.formReceipts.push(...stored);
+        this.pendingReceiptFiles = [];
+        this.renderFormReceipts();
+        
+        return [...this.formReceipts];
+    }
+
+    // Format a file size for display (e.g., 1.2 MB)
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // Show the goal picker only for savings contributions and withdrawals
+    toggleGoalField() {
+        const isSavings = isSavingsType(this.elements.type.value);
+        this.elements.goalGroup.hidden = !isSavings;
+        this.elements.goal.required = isSavings;
+        
+        // Savings moves are not spending, so they get a category of their own unless one is typed
+        if (isSavings && !this.elements.category.value.trim()) {
+            this.elements.category.value = 'Savings';
+            this.elements.category.dataset.autofilled = 'false';
+        }
+    }
+
+    // Fill in the category from the rules while a description is typed
+    suggestCategory() {
+        const field = this.elements.category;
+        
+        // Only a blank category or one a rule filled in may change
+        if (field.value.trim() && field.dataset.autofilled !== 'true') return;
+        
+        const category = state.suggestCategory(this.elements.description.value);
+        field.value = category || '';
+        field.dataset.autofilled = category ? 'true' : 'false';
+        if (category) {
+            this.validateField('category');
+        }
+    }
+
+    // Render the rules editor in the order rules are tried
+    renderRules() {
+        const list = this.elements.rulesList;
+        if (!list) return;
+        
+        const rules = state.getCategoryRules();
+        list.innerHTML = '';
+        this.elements.rulesEmpty.hidden = rules.length > 0;
+        this.elements.applyRules.disabled = rules.length === 0;
+        this.elements.previewRules.disabled = rules.length === 0;
+        
+        rules.forEach((rule, index) => {
+            const item = document.createElement('li');
+            item.className = 'rule-item';
+            
+            const text = document.createElement('span');
+            text.className = 'rule-text';
+            const pattern = document.createElement('code');
+            pattern.textContent = rule.pattern;
+            text.append(pattern, ` → ${rule.category}`);
+            
+            const moveUp = document.createElement('button');
+            moveUp.type = 'button';
+            moveUp.className = 'secondary';
+            moveUp.textContent = '↑';
+            moveUp.disabled = index === 0;
+            moveUp.setAttribute('aria-label', `Try rule for ${rule.category} earlier`);
+            moveUp.addEventListener('click', () => state.moveCategoryRule(rule.id, -1));
+            
+            const moveDown = document.createElement('button');
+            moveDown.type = 'button';
+            moveDown.className = 'secondary';
+            moveDown.textContent = '↓';
+            moveDown.disabled = index === rules.length - 1;
+            moveDown.setAttribute('aria-label', `Try rule for ${rule.category} later`);
+            moveDown.addEventListener('click', () => state.moveCategoryRule(rule.id, 1));
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'delete-btn';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.setAttribute('aria-label', `Delete rule for ${rule.category}`);
+            deleteBtn.addEventListener('click', () => {
+                state.deleteCategoryRule(rule.id);
+                this.showUndoMessage('Rule deleted');
+            });
+            
+            item.append(text, moveUp, moveDown, deleteBtn);
+            list.appendChild(item);
+        });
+        
+        // Categories in use, offered while typing a rule
+        const categories = [...new Set([...state.settings.categories, ...state.transactions.map(t => t.category)])].sort();
+        this.elements.ruleCategoryOptions.innerHTML = '';
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            this.elements.ruleCategoryOptions.appendChild(option);
+        });
+        
+        // Keep an open preview in step with the rules
+        if (!this.elements.rulesPreview.hidden) {
+            this.renderRulesPreview();
+        }
+    }
+
+    // Add a rule from the rules form
+    handleAddRule(e) {
+        e.preventDefault();
+        
+        const result = state.addCategoryRule({
+            pattern: this.elements.rulePattern.value,
+            category: this.elements.ruleCategory.value
+        });
+        
+        if (!result.success) {
+            this.elements.ruleError.textContent = result.errors.join(', ');
+            return;
+        }
+        
+        this.elements.ruleError.textContent = '';
+        this.elements.ruleForm.reset();
+        this.showUndoMessage(`Rule added for ${result.rule.category}`, 'success');
+    }
+
+    // Show which existing transactions the rules would re-categorise
+    renderRulesPreview() {
+        const changes = state.previewCategoryRules();
+        const tbody = this.elements.rulesPreviewBody;
+        const shown = changes.slice(0, 50);
+        
+        this.elements.rulesPreview.hidden = false;
+        this.elements.rulesPreviewSummary.textContent = changes.length
+            ? `The rules would change the category of ${changes.length} transaction${changes.length === 1 ? '' : 's'}${changes.length > shown.length ? ` (first ${shown.length} shown)` : ''}.`
+            : 'Every existing transaction already has the category the rules give it.';
+        
+        tbody.innerHTML = '';
+        shown.forEach(({ transaction, category }) => {
+            const row = document.createElement('tr');
+            [transaction.description, transaction.date, transaction.category, category].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+    }
+
+    // Re-categorise existing transactions with the rules
+    handleApplyRules() {
+        const count = state.applyCategoryRules();
+        
+        if (count > 0) {
+            this.showUndoMessage(`Re-categorised ${count} transaction${count === 1 ? '' : 's'}`, 'success');
+        } else {
+            this.showMessage('No transactions needed a new category', 'info');
+        }
+    }
+
+    // Cancel editing
+    cancelEdit() {
+        state.clearEditing();
+        this.resetForm();
+    }
+
+    // Reset form
+    resetForm() {
+        this.elements.transactionForm.reset();
+        this.elements.category.dataset.autofilled = 'false';
+        this.closeSplitEditor();
+        this.toggleGoalField();
+        this.formReceipts = [];
+        this.pendingReceiptFiles = [];
+        this.renderFormReceipts();
+        this.elements.currency.value = state.settings.baseCurrency;
+        this.elements.saveBtn.textContent = 'Save Transaction';
+        state.clearEditing();
+        
+        // Clear validation errors
+        ['type', 'goal', 'description', 'amount', 'currency', 'category', 'date', 'tags', 'receipts'].forEach(field => {
+            const errorDiv = document.getElementById(`${field}-error`);
+            if (errorDiv) errorDiv.textContent = '';
+        });
+    }
+
+    // Populate form for editing
+    populateFormForEdit(id) {
+        const transaction = state.getTransaction(id);
+        if (!transaction) return;
+
+        this.elements.type.value = transaction.type;
+        this.elements.goal.value = transaction.goalId || '';
+        this.toggleGoalField();
+        this.elements.description.value = transaction.description;
+        this.elements.amount.value = transaction.amount;
+        this.elements.currency.value = transaction.currency;
+        this.elements.category.value = transaction.category;
+        this.elements.category.dataset.autofilled = 'false';
+        this.elements.date.value = transaction.date;
+        this.elements.tags.value = (transaction.tags || []).map(tag => `#${tag}`).join(' ');
+        
+        if (transaction.splits?.length) {
+            this.openSplitEditor(transaction.splits);
+        } else {
+            this.closeSplitEditor();
+        }
+        
+        this.formReceipts = [...(transaction.receipts || [])];
+        this.pendingReceiptFiles = [];
+        this.renderFormReceipts();
+        
+        this.elements.saveBtn.textContent = 'Update Transaction';
+        
+        // Scroll to form
+        document.getElementById('add').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    // Render the current page of the transactions table, reusing rows whose records are unchanged
+    render() {
+        const transactions = state.filteredTransactions;
+        const tbody = this.elements.transactionsBody;
+        
+        if (!tbody) return;
+
+        const pageCount = Math.max(1, Math.ceil(transactions.length / this.pageSize));
+        this.page = Math.min(this.page, pageCount);
+        const firstIndex = (this.page - 1) * this.pageSize;
+        const visible = transactions.slice(firstIndex, firstIndex + this.pageSize);
+        this.updatePagination(transactions.length, firstIndex, visible.length, pageCount);
+
+        // Drop selected transactions that were deleted or no longer match
+        const selectable = new Set(transactions.filter(t => !t.deletedAt).map(t => t.id));
+        this.selectedIds.forEach(id => {
+            if (!selectable.has(id)) this.selectedIds.delete(id);
+        });
+        this.pageIds = visible.filter(t => !t.deletedAt).map(t => t.id);
+
+        if (visible.length === 0) {
+            this.updateSelection();
+            this.rowCache.clear();
+            tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No transactions found</td></tr>';
+            return;
+        }
+
+        // Highlights, converted amounts, and goal names depend on these, so any change rebuilds every row
+        const { pattern, caseSensitive } = state.currentSearch;
+        const context = JSON.stringify([pattern, caseSensitive, state.settings.baseCurrency, state.settings.conversionRates, state.settings.savingsGoals]);
+        if (context !== this.rowCacheContext) {
+            this.rowCache.clear();
+            this.rowCacheContext = context;
+        }
+
+        // Expanded split transactions bring their line rows along with them
+        const rows = visible.flatMap(transaction => {
+            const expanded = this.expandedSplits.has(transaction.id) && transaction.splits?.length > 0;
+            const version = `${transaction.updatedAt}|${transaction.deletedAt || ''}|${expanded}`;
+            const cached = this.rowCache.get(transaction.id);
+            if (cached && cached.version === version) return cached.rows;
+            
+            const rows = [this.createTransactionRow(transaction)];
+            if (expanded) {
+                rows.push(...transaction.splits.map((line, index) => this.createSplitRow(transaction, line, index)));
+            }
+            this.rowCache.set(transaction.id, { rows, version });
+            return rows;
+        });
+
+        // Forget rows that left the page
+        const visibleIds = new Set(visible.map(t => t.id));
+        this.rowCache.forEach((_, id) => {
+            if (!visibleIds.has(id)) this.rowCache.delete(id);
+        });
+
+        // Move rows into order, touching only the ones that are out of place
+        rows.forEach((row, index) => {
+            const current = tbody.children[index];
+            if (current !== row) {
+                tbody.insertBefore(row, current || null);
+            }
+        });
+        while (tbody.children.length > rows.length) {
+            tbody.lastElementChild.remove();
+        }
+
+        this.updateSelection();
+    }
+
+    // Reflect the selection in the row checkboxes and the bulk action bar
+    updateSelection() {
+        const selected = this.selectedIds;
+        
+        this.elements.transactionsBody?.querySelectorAll('tr[data-id]').forEach(row => {
+            const isSelected = selected.has(row.dataset.id);
+            row.classList.toggle('selected', isSelected);
+            const box = row.querySelector('.select-row');
+            if (box) box.checked = isSelected;
+        });
+        
+        if (this.elements.selectAll) {
+            const onPage = this.pageIds.filter(id => selected.has(id)).length;
+            this.elements.selectAll.checked = onPage > 0 && onPage === this.pageIds.length;
+            this.elements.selectAll.indeterminate = onPage > 0 && onPage < this.pageIds.length;
+            this.elements.selectAll.disabled = this.pageIds.length === 0;
+        }
+        
+        if (!this.elements.bulkActions) return;
+        
+        this.elements.bulkActions.hidden = selected.size === 0;
+        if (selected.size === 0) return;
+        
+        const matching = state.filteredTransactions.filter(t => !t.deletedAt).length;
+        this.elements.bulkCount.textContent = `${selected.size} selected`;
+        this.elements.bulkSelectAll.textContent = `Select all ${matching} matching`;
+        this.elements.bulkSelectAll.hidden = selected.size >= matching;
+        
+        const categories = [...new Set([...state.settings.categories, ...state.transactions.map(t => t.category)])].sort();
+        this.elements.bulkCategoryOptions.innerHTML = '';
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            this.elements.bulkCategoryOptions.appendChild(option);
+        });
+    }
+
+    // Select or deselect one transaction
+    toggleSelected(id, isSelected) {
+        if (isSelected) {
+            this.selectedIds.add(id);
+        } else {
+            this.selectedIds.delete(id);
+        }
+        this.updateSelection();
+    }
+
+    // Select or deselect every transaction on the current page
+    selectPage(isSelected) {
+        this.pageIds.forEach(id => {
+            if (isSelected) {
+                this.selectedIds.add(id);
+            } else {
+                this.selectedIds.delete(id);
+            }
+        });
+        this.updateSelection();
+    }
+
+    // Select every transaction matching the search and date range, on all pages
+    selectAllMatching() {
+        state.filteredTransactions.forEach(t => {
+            if (!t.deletedAt) this.selectedIds.add(t.id);
+        });
+        this.updateSelection();
+    }
+
+    // Deselect everything
+    clearSelection() {
+        this.selectedIds.clear();
+        this.updateSelection();
+    }
+
+    // Selected transactions, in the order they are listed
+    getSelectedTransactions() {
+        return state.filteredTransactions.filter(t => this.selectedIds.has(t.id));
+    }
+
+    // Report the outcome of a bulk action
+    showBulkResult(result, message) {
+        if (!result.success) {
+            this.showMessage(result.errors.join(', '), 'error');
+            return false;
+        }
+        this.showUndoMessage(message, 'success');
+        return true;
+    }
+
+    // Move the selected transactions to another category
+    handleBulkCategory() {
+        const result = state.bulkSetCategory([...this.selectedIds], this.elements.bulkCategory.value);
+        if (this.showBulkResult(result, `Moved ${result.count} transactions to ${result.category}`)) {
+            this.elements.bulkCategory.value = '';
+        }
+    }
+
+    // Shift the selected transactions' dates
+    handleBulkShift() {
+        const days = this.elements.bulkShiftDays.value;
+        const result = state.bulkShiftDates([...this.selectedIds], days);
+        if (this.showBulkResult(result, `Shifted ${result.count} transactions by ${days} days`)) {
+            this.elements.bulkShiftDays.value = '';
+        }
+    }
+
+    // Tag the selected transactions
+    handleBulkTag() {
+        const result = state.bulkAddTag([...this.selectedIds], this.elements.bulkTag.value);
+        if (this.showBulkResult(result, `Tagged ${result.count} transactions #${result.tag}`)) {
+            this.elements.bulkTag.value = '';
+        }
+    }
+
+    // Move the selected transactions to the trash
+    handleBulkDelete() {
+        const count = state.bulkDelete([...this.selectedIds]);
+        if (count > 0) {
+            this.showUndoMessage(`Moved ${count} transactions to trash`);
+        }
+    }
+
+    // Create transaction row
+    createTransactionRow(transaction) {
+        const template = this.elements.rowTemplate.content.cloneNode(true);
+        const row = template.querySelector('.transaction-row');
+        
+        const descriptionCell = row.querySelector('.description-cell');
+        const amountCell = row.querySelector('.amount-cell');
+        const categoryCell = row.querySelector('.category-cell');
+        const dateCell = row.querySelector('.date-cell');
+        const actionsCell = row.querySelector('.actions-cell');
+        const selectBox = row.querySelector('.select-row');
+        const amountText = this.formatSignedAmount(transaction.amount, transaction);
+        
+        row.classList.add(transaction.type);
+        
+        // Split transactions list every line's category
+        const categoryText = transaction.splits?.length
+            ? transaction.splits.map(line => line.category).join(' + ')
+            : transaction.category;
+        
+        // Highlight only the fields the search actually matched on
+        if (state.currentSearch.query) {
+            const highlights = getHighlights(state.currentSearch.query, transaction);
+            descriptionCell.innerHTML = highlightText(transaction.description, highlights.description);
+            amountCell.innerHTML = highlightText(amountText, highlights.amount);
+            categoryCell.innerHTML = highlightText(categoryText, highlights.category);
+            dateCell.innerHTML = highlightText(transaction.date, highlights.date);
+        } else {
+            descriptionCell.textContent = transaction.description;
+            amountCell.textContent = amountText;
+            categoryCell.textContent = categoryText;
+            dateCell.textContent = transaction.date;
+        }
+        
+        if (transaction.splits?.length) {
+            categoryCell.prepend(this.createSplitToggle(transaction));
+        }
+        
+        if (transaction.goalId) {
+            const goalLabel = document.createElement('span');
+            goalLabel.className = 'goal-label';
+            const goal = state.getSavingsGoal(transaction.goalId);
+            goalLabel.textContent = `${transaction.type === 'withdrawal' ? 'From' : 'Towards'} ${goal ? `"${goal.name}"` : 'a deleted goal'}`;
+            descriptionCell.appendChild(goalLabel);
+        }
+        
+        if (transaction.tags?.length) {
+            descriptionCell.appendChild(this.createTagChips(transaction.tags));
+        }
+        
+        if (transaction.receipts?.length) {
+            descriptionCell.appendChild(this.createReceiptThumbs(transaction));
+        }
+        
+        // Show the base-currency equivalent for foreign-currency amounts
+        if (transaction.currency !== state.settings.baseCurrency) {
+            const converted = document.createElement('span');
+            converted.className = 'converted-amount';
+            converted.textContent = state.hasRate(transaction.currency)
+                ? ` (≈ ${this.formatSignedAmount(state.toBase(transaction), transaction, state.settings.baseCurrency)})`
+                : ` (no ${transaction.currency} rate)`;
+            amountCell.appendChild(converted);
+        }
+        
+        const editBtn = actionsCell.querySelector('.edit-btn');
+        const deleteBtn = actionsCell.querySelector('.delete-btn');
+        
+        // Trashed transactions (shown when search includes the trash) can only be restored
+        if (transaction.deletedAt) {
+            row.classList.add('trashed');
+            selectBox.remove();
+            editBtn.remove();
+            deleteBtn.replaceWith(this.createRestoreButton(transaction));
+            return row;
+        }
+        
+        // Select for bulk actions
+        row.dataset.id = transaction.id;
+        selectBox.setAttribute('aria-label', `Select ${transaction.description}`);
+        selectBox.addEventListener('change', () => this.toggleSelected(transaction.id, selectBox.checked));
+        
+        // Add edit button
+        editBtn.addEventListener('click', () => {
+            state.setEditing(transaction.id);
+            this.populateFormForEdit(transaction.id);
+        });
+        
+        // Add delete button
+        deleteBtn.addEventListener('click', () => {
+            if (state.deleteTransaction(transaction.id)) {
+                this.showUndoMessage('Transaction moved to trash');
+            }
+        });
+        
+        // Add animation class if new
+        if (Date.now() - new Date(transaction.createdAt).getTime() < 5000) {
+            row.classList.add('new');
+            setTimeout(() => row.classList.remove('new'), 1000);
+        }
+        
+        return row;
+    }
+
+    // Create the button that shows or hides a split transaction's lines
+    createSplitToggle(transaction) {
+        const expanded = this.expandedSplits.has(transaction.id);
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'split-toggle-btn';
+        toggle.textContent = expanded ? '▾' : '▸';
+        toggle.setAttribute('aria-expanded', String(expanded));
+        toggle.setAttribute('aria-label', `${expanded ? 'Hide' : 'Show'} the ${transaction.splits.length} split lines of ${transaction.description}`);
+        toggle.addEventListener('click', () => {
+            if (expanded) {
+                this.expandedSplits.delete(transaction.id);
+            } else {
+                this.expandedSplits.add(transaction.id);
+            }
+            this.render();
+        });
+        return toggle;
+    }
+
+    // Create the row for one line of a split transaction
+    createSplitRow(transaction, line, index) {
+        const row = document.createElement('tr');
+        row.className = `split-row ${transaction.type}`;
+        
+        const cells = [
+            '',
+            `↳ Line ${index + 1} of ${transaction.splits.length}`,
+            this.formatSignedAmount(line.amount, transaction),
+            line.category,
+            '',
+            ''
+        ];
+        cells.forEach((text, column) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (column === 2) cell.className = 'amount-cell';
+            row.appendChild(cell);
+        });
+        
+        return row;
+    }
+
+    // Create the thumbnails of a transaction's receipts; each opens the viewer
+    createReceiptThumbs(transaction) {
+        const thumbs = document.createElement('span');
+        thumbs.className = 'receipt-thumbs';
+        
+        transaction.receipts.forEach((receipt, index) => {
+            const thumb = document.createElement('button');
+            thumb.type = 'button';
+            thumb.className = 'receipt-thumb';
+            thumb.title = receipt.name;
+            thumb.setAttribute('aria-label', `View receipt ${receipt.name}`);
+            thumb.addEventListener('click', () => this.openReceiptViewer(transaction.receipts, index));
+            
+            if (receipt.type.startsWith('image/')) {
+                const image = document.createElement('img');
+                image.alt = '';
+                thumb.appendChild(image);
+                this.getReceiptUrl(receipt.id).then(url => {
+                    if (url) {
+                        image.src = url;
+                    } else {
+                        thumb.textContent = '⚠️';
+                    }
+                });
+            } else {
+                thumb.textContent = '📄';
+            }
+            
+            thumbs.appendChild(thumb);
+        });
+        
+        return thumbs;
+    }
+
+    // Get an object URL for a receipt's file (null when it is not stored on this device)
+    getReceiptUrl(id) {
+        if (!this.receiptUrls.has(id)) {
+            this.receiptUrls.set(id, state.getReceipt(id).then(record => {
+                // Forget misses, so a file restored later from a backup is found
+                if (!record) this.receiptUrls.delete(id);
+                return record ? URL.createObjectURL(record.blob) : null;
+            }));
+        }
+        return this.receiptUrls.get(id);
+    }
+
+    // Open the receipt viewer on one of a transaction's receipts
+    openReceiptViewer(receipts, index) {
+        this.receiptViewer = { receipts, index };
+        if (!this.elements.receiptDialog.open) {
+            this.elements.receiptDialog.showModal();
+        }
+        this.showReceipt(index);
+    }
+
+    // Show a receipt in the viewer, with previous/next for the transaction's others
+    async showReceipt(index) {
+        const { receipts } = this.receiptViewer;
+        if (index < 0 || index >= receipts.length) return;
+        
+        this.receiptViewer.index = index;
+        const receipt = receipts[index];
+        this.elements.receiptDialogName.textContent = receipts.length > 1
+            ? `${receipt.name} (${index + 1} of ${receipts.length})`
+            : receipt.name;
+        this.elements.receiptPrev.disabled = index === 0;
+        this.elements.receiptNext.disabled = index === receipts.length - 1;
+        this.elements.receiptView.innerHTML = '';
+        
+        const url = await this.getReceiptUrl(receipt.id);
+        if (this.receiptViewer.receipts[this.receiptViewer.index] !== receipt) return;
+        
+        this.elements.receiptDownload.disabled = !url;
+        
+        let view;
+        if (!url) {
+            view = document.createElement('p');
+            view.className = 'empty-state';
+            view.textContent = 'This receipt\'s file is not stored on this device. Import a full backup that includes it.';
+        } else if (receipt.type.startsWith('image/')) {
+            view = document.createElement('img');
+            view.src = url;
+            view.alt = `Receipt ${receipt.name}`;
+        } else if (receipt.type === 'application/pdf') {
+            // Sandboxed so a file can never run script in the app's origin
+            view = document.createElement('iframe');
+            view.setAttribute('sandbox', '');
+            view.src = url;
+            view.title = `Receipt ${receipt.name}`;
+        } else {
+            view = document.createElement('p');
+            view.className = 'empty-state';
+            view.textContent = 'This receipt cannot be previewed. Download it to open it.';
+        }
+        this.elements.receiptView.appendChild(view);
+    }
+
+    // Save the receipt on show in the viewer under its original name
+    async downloadReceipt() {
+        const receipt = this.receiptViewer.receipts[this.receiptViewer.index];
+        const url = receipt && await this.getReceiptUrl(receipt.id);
+        if (!url) return;
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = receipt.name;
+        a.click();
+    }
+
+    // Create a button that restores a trashed transaction
+    createRestoreButton(transaction) {
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.className = 'restore-btn secondary';
+        restoreBtn.textContent = '♻️';
+        restoreBtn.setAttribute('aria-label', `Restore ${transaction.description}`);
+        restoreBtn.addEventListener('click', () => {
+            state.restoreFromTrash([transaction.id]);
+            this.showUndoMessage('Transaction restored', 'success');
+        });
+        return restoreBtn;
+    }
+
+    // Render the trash, newest deletions first
+    renderTrash() {
+        const tbody = this.elements.trashBody;
+        if (!tbody) return;
+        
+        const trash = [...state.trash].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+        const days = state.settings.trashRetentionDays;
+        
+        this.elements.trashRetentionNote.textContent = days > 0
+            ? `Deleted transactions are removed permanently after ${days} day${days === 1 ? '' : 's'}.`
+            : 'Deleted transactions are kept until you empty the trash.';
+        this.elements.restoreAll.disabled = trash.length === 0;
+        this.elements.emptyTrash.disabled = trash.length === 0;
+        
+        if (trash.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="empty-state">Trash is empty</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = '';
+        
+        trash.forEach(transaction => {
+            const row = document.createElement('tr');
+            row.className = `trash-row ${transaction.type}`;
+            
+            const description = document.createElement('td');
+            description.textContent = transaction.description;
+            
+            const amount = document.createElement('td');
+            amount.className = 'amount-cell';
+            amount.textContent = this.formatSignedAmount(transaction.amount, transaction);
+            
+            const category = document.createElement('td');
+            category.textContent = transaction.category;
+            
+            const deleted = document.createElement('td');
+            deleted.textContent = new Date(transaction.deletedAt).toLocaleString();
+            
+            const actions = document.createElement('td');
+            actions.className = 'actions-cell';
+            
+            const purgeBtn = document.createElement('button');
+            purgeBtn.type = 'button';
+            purgeBtn.className = 'delete-btn';
+            purgeBtn.textContent = '🗑️';
+            purgeBtn.setAttribute('aria-label', `Delete ${transaction.description} permanently`);
+            purgeBtn.addEventListener('click', () => {
+                state.purgeFromTrash([transaction.id]);
+                this.showUndoMessage('Transaction deleted permanently', 'warning');
+            });
+            
+            actions.append(this.createRestoreButton(transaction), purgeBtn);
+            row.append(description, amount, category, deleted, actions);
+            tbody.appendChild(row);
+        });
+    }
+
+    // Handle recurring schedule submit
+    handleRecurringSubmit(e) {
+        e.preventDefault();
+        
+        const formData = {
+            type: this.elements.recurringType.value,
+            description: this.elements.recurringDescription.value,
+            amount: this.elements.recurringAmount.value,
+            currency: this.elements.recurringCurrency.value,
+            category: this.elements.recurringCategory.value,
+            frequency: this.elements.recurringFrequency.value,
+            interval: this.elements.recurringInterval.value,
+            startDate: this.elements.recurringStart.value,
+            endDate: this.elements.recurringEnd.value
+        };
+        
+        try {
+            if (this.editingScheduleId) {
+                state.updateSchedule(this.editingScheduleId, formData);
+                this.showMessage('Schedule updated', 'success');
+            } else {
+                state.addSchedule(formData);
+                this.showMessage('Schedule added', 'success');
+            }
+            
+            this.resetRecurringForm();
+        } catch (error) {
+            this.elements.recurringError.textContent = error.message;
+        }
+    }
+
+    // Reset recurring schedule form
+    resetRecurringForm() {
+        this.editingScheduleId = null;
+        this.elements.recurringForm.reset();
+        this.elements.recurringCurrency.value = state.settings.baseCurrency;
+        this.elements.recurringError.textContent = '';
+        this.elements.recurringSave.textContent = 'Save Schedule';
+        this.toggleIntervalField();
+    }
+
+    // Show the interval field only for custom schedules
+    toggleIntervalField() {
+        this.elements.recurringIntervalGroup.hidden = this.elements.recurringFrequency.value !== 'custom';
+    }
+
+    // Populate recurring form for editing
+    populateScheduleForEdit(id) {
+        const schedule = state.getSchedule(id);
+        if (!schedule) return;
+        
+        this.editingScheduleId = id;
+        this.elements.recurringType.value = schedule.type;
+        this.elements.recurringDescription.value = schedule.description;
+        this.elements.recurringAmount.value = schedule.amount;
+        this.elements.recurringCurrency.value = schedule.currency;
+        this.elements.recurringCategory.value = schedule.category;
+        this.elements.recurringFrequency.value = schedule.frequency;
+        this.elements.recurringInterval.value = schedule.interval;
+        this.elements.recurringStart.value = schedule.startDate;
+        this.elements.recurringEnd.value = schedule.endDate || '';
+        this.elements.recurringError.textContent = '';
+        this.elements.recurringSave.textContent = 'Update Schedule';
+        this.toggleIntervalField();
+        
+        this.elements.recurringForm.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    // Render recurring schedules table
+    renderSchedules() {
+        const tbody = this.elements.recurringBody;
+        if (!tbody) return;
+        
+        const schedules = state.settings.recurring || [];
+        
+        if (schedules.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No recurring transactions yet</td></tr>';
+            return;
+        }
+        
+        const today = toDateString(new Date());
+        tbody.innerHTML = '';
+        
+        schedules.forEach(schedule => {
+            const next = nextOccurrence(schedule, today);
+            let status = 'Active';
+            if (schedule.paused) {
+                status = 'Paused';
+            } else if (!next) {
+                status = 'Ended';
+            }
+            
+            const row = document.createElement('tr');
+            row.className = `schedule-row ${status.toLowerCase()}`;
+            
+            [
+                schedule.description,
+                this.formatSignedAmount(schedule.amount, schedule),
+                describeFrequency(schedule),
+                schedule.paused || !next ? '—' : next,
+                status
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            
+            const actions = document.createElement('td');
+            actions.className = 'actions-cell';
+            
+            const editBtn = document.createElement('button');
+            editBtn.className = 'edit-btn';
+            editBtn.textContent = '✏️';
+            editBtn.setAttribute('aria-label', `Edit schedule ${schedule.description}`);
+            editBtn.addEventListener('click', () => this.populateScheduleForEdit(schedule.id));
+            
+            const pauseBtn = document.createElement('button');
+            pauseBtn.className = 'pause-btn secondary';
+            pauseBtn.textContent = schedule.paused ? '▶️' : '⏸️';
+            pauseBtn.setAttribute('aria-label', `${schedule.paused ? 'Resume' : 'Pause'} schedule ${schedule.description}`);
+            pauseBtn.addEventListener('click', () => {
+                state.setSchedulePaused(schedule.id, !schedule.paused);
+                this.showMessage(schedule.paused ? 'Schedule resumed' : 'Schedule paused', 'info');
+            });
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'delete-btn';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.setAttribute('aria-label', `Delete schedule ${schedule.description}`);
+            deleteBtn.addEventListener('click', () => {
+                state.deleteSchedule(schedule.id);
+                this.showUndoMessage('Schedule deleted; transactions it already created are kept');
+            });
+            
+            actions.append(editBtn, pauseBtn, deleteBtn);
+            row.appendChild(actions);
+            tbody.appendChild(row);
+        });
+    }
+
+    // Update stats display
+    updateStats() {
+        const stats = state.getStats();
+        
+        this.elements.totalTransactions.textContent = stats.total;
+        this.elements.totalIncome.textContent = this.formatCurrency(stats.totalIncome);
+        this.elements.totalAmount.textContent = this.formatCurrency(stats.totalExpenses);
+        this.elements.netBalance.textContent = this.formatCurrency(stats.netBalance);
+        this.elements.topCategory.textContent = stats.topCategory;
+        
+        // Amounts that cannot be converted are left out of every total, so say so
+        const missing = state.getMissingRates();
+        this.elements.missingRates.hidden = missing.length === 0;
+        this.elements.missingRates.textContent = missing.length
+            ? `⚠️ No conversion rate for ${missing.join(', ')} into ${state.settings.baseCurrency}: those amounts are left out of totals, budgets, forecasts, and goals. Set the rates in Settings.`
+            : '';
+        
+        const budgetStatus = `${this.formatCurrency(stats.budget.used)} / ${this.formatCurrency(stats.budget.total)}`;
+        this.elements.budgetStatus.textContent = budgetStatus;
+        
+        const percentage = stats.budget.percentage;
+        this.elements.budgetProgress.style.width = `${percentage}%`;
+        this.elements.budgetProgress.setAttribute('aria-valuenow', percentage);
+        
+        // Period navigation
+        this.elements.periodLabel.textContent = stats.period.isCurrent
+            ? `${stats.period.label} (current)`
+            : stats.period.label;
+        this.elements.nextPeriod.disabled = stats.period.isCurrent;
+        
+        const carried = stats.budget.carried;
+        this.elements.budgetRolloverNote.textContent = carried
+            ? `Includes ${this.formatCurrency(Math.abs(carried))} ${carried > 0 ? 'carried over' : 'overspent'} from earlier periods`
+            : '';
+    }
+
+    // Update budget message
+    updateBudgetMessage() {
+        const stats = state.getStats();
+        const message = this.elements.budgetMessage;
+        
+        if (stats.budget.isOverBudget) {
+            message.textContent = `⚠️ Alert: You've exceeded your budget for ${stats.period.label} by ${this.formatCurrency(stats.budget.overspent)}`;
+            message.setAttribute('aria-live', 'assertive');
+            message.classList.add('warning');
+        } else {
+            message.textContent = `You have ${this.formatCurrency(stats.budget.remaining)} remaining in your budget for ${stats.period.label}`;
+            message.setAttribute('aria-live', 'polite');
+            message.classList.remove('warning');
+        }
+    }
+
+    // Show where the current period is heading (hidden while browsing earlier periods)
+    renderForecast() {
+        const container = this.elements.budgetForecast;
+        if (!container) return;
+        
+        container.hidden = state.periodOffset !== 0;
+        if (container.hidden) return;
+        
+        const forecast = state.getForecast();
+        const formatDay = (date) => parseDate(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+        
+        let outlook;
+        if (forecast.crossDate && forecast.spent > forecast.budget) {
+            outlook = `you went over budget on ${formatDay(forecast.crossDate)}`;
+        } else if (forecast.crossDate) {
+            outlook = `at this rate you will pass your budget on ${formatDay(forecast.crossDate)}`;
+        } else {
+            outlook = `on track to finish ${this.formatCurrency(forecast.budget - forecast.projected)} under budget`;
+        }
+        this.elements.forecastProjection.textContent = `Projected: ${this.formatCurrency(forecast.projected)} of ${this.formatCurrency(forecast.budget)} budget by ${formatDay(forecast.period.end)}; ${outlook}`;
+        this.elements.forecastProjection.classList.toggle('warning', Boolean(forecast.crossDate));
+        
+        const days = `${forecast.daysLeft} day${forecast.daysLeft === 1 ? '' : 's'}`;
+        this.elements.forecastSafe.textContent = `Safe to spend: ${this.formatCurrency(forecast.safePerDay)} per day for the remaining ${days}`;
+        
+        this.elements.forecastBasis.textContent = `Based on ${this.formatCurrency(forecast.dailyRate)} a day over the last ${forecast.windowDays} days`
+            + (forecast.upcoming > 0 ? `, plus ${this.formatCurrency(forecast.upcoming)} in scheduled and recurring expenses still to come` : '');
+    }
+
+    // Render spending per tag on the dashboard; each tag links to a search for it
+    renderTagBreakdown() {
+        const list = this.elements.tagBreakdownList;
+        if (!list) return;
+        
+        const breakdown = state.getTagBreakdown();
+        const largest = Math.max(...breakdown.map(entry => entry.spent), 0);
+        this.elements.tagBreakdownEmpty.hidden = breakdown.length > 0;
+        list.innerHTML = '';
+        
+        breakdown.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'tag-breakdown-item';
+            
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'tag-chip';
+            link.textContent = `#${entry.tag}`;
+            link.setAttribute('aria-label', `Show transactions tagged #${entry.tag}`);
+            link.addEventListener('click', () => {
+                this.elements.searchInput.value = `#${entry.tag}`;
+                this.handleSearch();
+                document.getElementById('transactions').scrollIntoView({ behavior: 'smooth' });
+            });
+            
+            const bar = document.createElement('span');
+            bar.className = 'tag-breakdown-bar';
+            bar.style.width = `${largest > 0 ? (entry.spent / largest) * 100 : 0}%`;
+            
+            const amount = document.createElement('span');
+            amount.className = 'tag-breakdown-amount';
+            amount.textContent = `${this.formatCurrency(entry.spent)} · ${entry.count} transaction${entry.count === 1 ? '' : 's'}`;
+            if (entry.income > 0) {
+                amount.textContent += ` · ${this.formatCurrency(entry.income)} income`;
+            }
+            
+            const track = document.createElement('span');
+            track.className = 'tag-breakdown-track';
+            track.appendChild(bar);
+            
+            item.append(link, track, amount);
+            list.appendChild(item);
+        });
+    }
+
+    // Render category envelopes, updating each one in place so its live region persists
+    renderEnvelopes() {
+        const list = this.elements.envelopesList;
+        if (!list) return;
+        
+        const envelopes = state.getCategoryEnvelopes();
+        this.envelopeElements = this.envelopeElements || new Map();
+        this.elements.envelopesEmpty.hidden = envelopes.length > 0;
+        
+        // Drop envelopes whose limit was removed
+        const active = new Set(envelopes.map(e => e.category));
+        for (const [category, element] of this.envelopeElements) {
+            if (!active.has(category)) {
+                element.remove();
+                this.envelopeElements.delete(category);
+            }
+        }
+        
+        envelopes.forEach(envelope => {
+            let element = this.envelopeElements.get(envelope.category);
+            
+            if (!element) {
+                element = document.createElement('div');
+                element.className = 'envelope';
+                element.innerHTML = `
+                    <div class="envelope-header">
+                        <span class="envelope-name"></span>
+                        <span class="envelope-amounts"></span>
+                    </div>
+                    <div class="progress-bar-container">
+                        <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100"></div>
+                    </div>
+                    <p class="envelope-message" role="status" aria-live="polite"></p>
+                `;
+                this.envelopeElements.set(envelope.category, element);
+            }
+            
+            element.classList.toggle('near', envelope.status === 'near');
+            element.classList.toggle('over', envelope.status === 'over');
+            element.querySelector('.envelope-name').textContent = envelope.category;
+            element.querySelector('.envelope-amounts').textContent =
+                `${this.formatCurrency(envelope.spent)} / ${this.formatCurrency(envelope.limit)}`;
+            
+            const bar = element.querySelector('.progress-bar');
+            bar.style.width = `${envelope.percentage}%`;
+            bar.setAttribute('aria-valuenow', envelope.percentage);
+            bar.setAttribute('aria-label', `${envelope.category} budget used`);
+            
+            const message = element.querySelector('.envelope-message');
+            if (envelope.status === 'over') {
+                message.textContent = `⚠️ Alert: ${envelope.category} is over its limit by ${this.formatCurrency(envelope.overspent)}`;
+                message.setAttribute('aria-live', 'assertive');
+                message.classList.add('warning');
+            } else {
+                message.textContent = `${this.formatCurrency(envelope.remaining)} left for ${envelope.category}`;
+                message.setAttribute('aria-live', 'polite');
+                message.classList.remove('warning');
+            }
+            
+            // Appending in sorted order moves near/over envelopes to the top
+            list.appendChild(element);
+        });
+    }
+
+    // Render savings goals with their progress, and offer them in the transaction form
+    renderSavingsGoals() {
+        const list = this.elements.goalsList;
+        if (!list) return;
+        
+        const progress = state.getGoalProgress();
+        const formatDay = (date) => parseDate(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        this.elements.goalsEmpty.hidden = progress.length > 0;
+        list.innerHTML = '';
+        
+        progress.forEach(entry => {
+            const { goal } = entry;
+            const item = document.createElement('li');
+            item.className = 'goal';
+            item.classList.toggle('reached', entry.reached);
+            item.classList.toggle('overdue', entry.overdue);
+            item.innerHTML = `
+                <div class="goal-header">
+                    <span class="goal-name"></span>
+                    <span class="goal-amounts"></span>
+                </div>
+                <div class="progress-bar-container">
+                    <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100"></div>
+                </div>
+                <p class="goal-message"></p>
+                <div class="goal-actions"></div>
+            `;
+            
+            item.querySelector('.goal-name').textContent = `${goal.name} · by ${formatDay(goal.targetDate)}`;
+            item.querySelector('.goal-amounts').textContent =
+                `${this.formatCurrency(entry.saved)} / ${this.formatCurrency(entry.target)}`;
+            
+            const bar = item.querySelector('.progress-bar');
+            bar.style.width = `${entry.percentage}%`;
+            bar.setAttribute('aria-valuenow', entry.percentage.toFixed(0));
+            bar.setAttribute('aria-label', `${goal.name} saved`);
+            
+            const message = item.querySelector('.goal-message');
+            if (entry.reached) {
+                message.textContent = `🎉 Goal reached with ${this.formatCurrency(entry.saved)} saved`;
+            } else if (entry.overdue) {
+                message.textContent = `⚠️ The target date has passed with ${this.formatCurrency(entry.remaining)} still to save`;
+            } else {
+                const weeks = Math.ceil(entry.weeksLeft);
+                message.textContent = `${this.formatCurrency(entry.neededPerWeek)} needed per week to save the remaining ${this.formatCurrency(entry.remaining)}`
+                    + ` (${weeks} week${weeks === 1 ? '' : 's'} left)`;
+            }
+            
+            const contributeBtn = document.createElement('button');
+            contributeBtn.type = 'button';
+            contributeBtn.textContent = 'Contribute';
+            contributeBtn.setAttribute('aria-label', `Contribute to ${goal.name}`);
+            contributeBtn.addEventListener('click', () => this.startGoalMove(goal, 'contribution'));
+            
+            const withdrawBtn = document.createElement('button');
+            withdrawBtn.type = 'button';
+            withdrawBtn.className = 'secondary';
+            withdrawBtn.textContent = 'Withdraw';
+            withdrawBtn.disabled = entry.saved <= 0;
+            withdrawBtn.setAttribute('aria-label', `Withdraw from ${goal.name}`);
+            withdrawBtn.addEventListener('click', () => this.startGoalMove(goal, 'withdrawal'));
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'delete-btn';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.setAttribute('aria-label', `Delete goal ${goal.name}`);
+            deleteBtn.addEventListener('click', () => {
+                state.deleteSavingsGoal(goal.id);
+                this.showUndoMessage(`Goal "${goal.name}" deleted; its contributions are kept`);
+            });
+            
+            item.querySelector('.goal-actions').append(contributeBtn, withdrawBtn, deleteBtn);
+            list.appendChild(item);
+        });
+        
+        // Keep the form's goal picker in step, holding on to the current choice
+        const picker = this.elements.goal;
+        const selected = picker.value;
+        picker.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = progress.length ? 'Choose a goal…' : 'No goals yet (add one on the dashboard)';
+        picker.appendChild(placeholder);
+        progress.forEach(({ goal }) => {
+            const option = document.createElement('option');
+            option.value = goal.id;
+            option.textContent = goal.name;
+            picker.appendChild(option);
+        });
+        picker.value = progress.some(({ goal }) => goal.id === selected) ? selected : '';
+    }
+
+    // Add a savings goal from the dashboard form
+    handleAddGoal(e) {
+        e.preventDefault();
+        
+        const result = state.addSavingsGoal({
+            name: this.elements.goalName.value,
+            target: this.elements.goalTarget.value,
+            targetDate: this.elements.goalDate.value
+        });
+        
+        if (!result.success) {
+            this.elements.goalFormError.textContent = result.errors.join(', ');
+            return;
+        }
+        
+        this.elements.goalFormError.textContent = '';
+        this.elements.goalForm.reset();
+        this.showUndoMessage(`Goal "${result.goal.name}" added`, 'success');
+    }
+
+    // Start a contribution to (or withdrawal from) a goal in the transaction form
+    startGoalMove(goal, type) {
+        this.cancelEdit();
+        this.elements.type.value = type;
+        this.elements.goal.value = goal.id;
+        this.toggleGoalField();
+        this.elements.description.value = `${type === 'contribution' ? 'Saved towards' : 'Withdrew from'} ${goal.name}`;
+        this.elements.date.value = toDateString(new Date());
+        
+        document.getElementById('add').scrollIntoView({ behavior: 'smooth' });
+        this.elements.amount.focus();
+    }
+
+    // Choose the dates the analytics charts cover
+    handleAnalyticsRange() {
+        const preset = this.elements.analyticsRange.value;
+        const isCustom = preset === 'custom';
+        this.elements.analyticsRangeCustom.hidden = !isCustom;
+        
+        const result = state.setAnalyticsRange(
+            preset,
+            isCustom ? this.elements.analyticsFrom.value : '',
+            isCustom ? this.elements.analyticsTo.value : ''
+        );
+        
+        if (!result.success) {
+            this.showMessage(result.errors.join(', '), 'error');
+        }
+    }
+
+    // Render the category breakdown and monthly spending charts
+    renderAnalytics() {
+        const { categoryChart, monthlyChart } = this.elements;
+        if (!categoryChart || !monthlyChart) return;
+        
+        const analytics = state.getAnalytics();
+        const formatValue = (amount) => this.formatCurrency(amount);
+        const range = `${analytics.start} to ${analytics.end}`;
+        
+        categoryChart.replaceChildren(createDonutChart(
+            analytics.categories.map(entry => ({ label: entry.category, value: entry.total })),
+            { title: `Spending by category, ${range}`, formatValue }
+        ));
+        
+        monthlyChart.replaceChildren(createTrendChart(
+            analytics.months.map(entry => ({
+                label: new Date(`${entry.month}-01T00:00:00`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
+                value: entry.total,
+                average: entry.average
+            })),
+            { title: `Monthly spending, ${range}`, averageLabel: `${analytics.averageMonths}-month average`, formatValue }
+        ));
+    }
+
+    // Start the comparison on last month against this month
+    initComparisonPeriods() {
+        if (!this.elements.comparisonForm) return;
+        
+        const thisMonth = toDateString(new Date()).slice(0, 7);
+        this.elements.compareAMonth.value = addDays(`${thisMonth}-01`, -1).slice(0, 7);
+        this.elements.compareBMonth.value = thisMonth;
+    }
+
+    // Read one side of the comparison form ('A' or 'B'), showing the inputs its period type needs
+    readComparisonPeriod(side) {
+        const kind = this.elements[`compare${side}Kind`].value;
+        this.elements[`compare${side}MonthGroup`].hidden = kind === 'custom';
+        this.elements[`compare${side}CustomGroup`].hidden = kind !== 'custom';
+        
+        return {
+            kind,
+            month: this.elements[`compare${side}Month`].value,
+            start: this.elements[`compare${side}Start`].value,
+            end: this.elements[`compare${side}End`].value
+        };
+    }
+
+    // Compare the two chosen periods; returns { comparison } or { error }
+    getComparison() {
+        const first = validateComparisonPeriod(this.readComparisonPeriod('A'), state.settings);
+        const second = validateComparisonPeriod(this.readComparisonPeriod('B'), state.settings);
+        
+        if (!first.valid) return { error: `Earlier period: ${first.message}` };
+        if (!second.valid) return { error: `Later period: ${second.message}` };
+        return { comparison: state.getPeriodComparison(first.cleaned, second.cleaned) };
+    }
+
+    // Format a change in spending with its sign (e.g., +$12.00)
+    formatChange(amount) {
+        return `${amount > 0 ? '+' : ''}${this.formatCurrency(amount)}`;
+    }
+
+    // Format a percentage change ('new' when nothing was spent before)
+    formatPercentChange(percent) {
+        if (percent === null) return 'new';
+        return `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+    }
+
+    // Render the period comparison: summary, biggest movers, and the per-category table
+    renderComparison() {
+        if (!this.elements.comparisonForm) return;
+        
+        const { comparison, error } = this.getComparison();
+        this.elements.comparisonError.textContent = error || '';
+        this.elements.comparisonResults.hidden = Boolean(error);
+        if (error) return;
+        
+        const { first, second, rows, totals, movers } = comparison;
+        const direction = totals.change > 0 ? 'more' : 'less';
+        this.elements.comparisonSummary.textContent = Math.abs(totals.change) < 0.005
+            ? `You spent ${this.formatCurrency(totals.after)} in both ${first.label} and ${second.label}.`
+            : `You spent ${this.formatCurrency(totals.after)} in ${second.label}, ${this.formatCurrency(Math.abs(totals.change))} ${direction} than the ${this.formatCurrency(totals.before)} spent in ${first.label} (${this.formatPercentChange(totals.percent)}).`;
+        
+        this.elements.comparisonCaption.textContent = `Spending per category, ${first.label} against ${second.label}`;
+        this.elements.comparisonFirstHeading.textContent = first.label;
+        this.elements.comparisonSecondHeading.textContent = second.label;
+        
+        this.elements.comparisonMovers.innerHTML = '';
+        movers.forEach(row => {
+            const item = document.createElement('li');
+            item.className = row.change > 0 ? 'increase' : 'decrease';
+            item.textContent = `${row.category}: ${this.formatChange(row.change)} (${this.formatPercentChange(row.percent)})`;
+            this.elements.comparisonMovers.appendChild(item);
+        });
+        if (!movers.length) {
+            const item = document.createElement('li');
+            item.textContent = 'No category changed';
+            this.elements.comparisonMovers.appendChild(item);
+        }
+        
+        const createRow = (cells, header = 'th') => {
+            const tr = document.createElement('tr');
+            cells.forEach((text, index) => {
+                const cell = document.createElement(index === 0 ? header : 'td');
+                if (index === 0) cell.scope = 'row';
+                cell.textContent = text;
+                tr.appendChild(cell);
+            });
+            return tr;
+        };
+        const cellsFor = (row, label) => [
+            label,
+            this.formatCurrency(row.before),
+            this.formatCurrency(row.after),
+            this.formatChange(row.change),
+            this.formatPercentChange(row.percent)
+        ];
+        
+        this.elements.comparisonBody.innerHTML = '';
+        if (!rows.length) {
+            this.elements.comparisonBody.innerHTML = '<tr><td colspan="5" class="empty-state">No spending in either period</td></tr>';
+        }
+        rows.forEach(row => this.elements.comparisonBody.appendChild(createRow(cellsFor(row, row.category))));
+        this.elements.comparisonFoot.replaceChildren(createRow(cellsFor(totals, 'Total')));
+    }
+
+    // Swap the earlier and later periods
+    swapComparisonPeriods() {
+        ['Kind', 'Month', 'Start', 'End'].forEach(field => {
+            const a = this.elements[`compareA${field}`];
+            const b = this.elements[`compareB${field}`];
+            [a.value, b.value] = [b.value, a.value];
+        });
+        this.renderComparison();
+    }
+
+    // Export the current comparison as CSV
+    handleExportComparison() {
+        const { comparison, error } = this.getComparison();
+        if (error) {
+            this.showMessage(error, 'error');
+            return;
+        }
+        
+        const slug = (label) => label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        downloadAsFile(
+            comparisonToCSV(comparison, state.settings.baseCurrency),
+            `finance-tracker-comparison-${slug(comparison.first.label)}-vs-${slug(comparison.second.label)}.csv`,
+            'text/csv'
+        );
+    }
+
+    // Render trend chart
+    renderTrendChart() {
+        const stats = state.getStats();
+        const chart = this.elements.trendChart;
+        
+        if (!chart) return;
+        
+        chart.innerHTML = '';
+        
+        const maxAmount = Math.max(...stats.last7Days.map(d => d.amount), 1);
+        
+        stats.last7Days.forEach(day => {
+            const height = (day.amount / maxAmount) * 100;
+            
             const container = document.createElement('div');
             container.className = 'chart-bar-container';
-            container.setAttribute('aria-label', `${day.day}: $${day.amount.toFixed(2)}`);
+            container.setAttribute('aria-label', `${day.day}: ${this.formatCurrency(day.amount)}`);
             
             const bar = document.createElement('div');
             bar.className = 'chart-bar';
@@ -430,11 +2549,19 @@ class UIManager {
             baseCurrency: this.elements.baseCurrency.value,
             conversionRates: {
                 EUR: parseFloat(this.elements.rate1.value) || 0.85,
-                GBP: parseFloat(this.elements.rate2.value) || 0.75
+                GBP: parseFloat(this.elements.rate2.value) || 0.75,
+                KES: parseFloat(this.elements.rate3.value) || 129
             },
-            monthlyBudget: parseFloat(this.elements.monthlyBudget.value) || 500
+            monthlyBudget: parseFloat(this.elements.monthlyBudget.value) || 500,
+            budgetPeriod: this.elements.budgetPeriod.value,
+            periodStartDay: parseInt(this.elements.periodStartDay.value, 10) || 1,
+            semesterStartMonth: parseInt(this.elements.semesterStartMonth.value, 10) || 1,
+            budgetRollover: this.elements.budgetRollover.checked,
+            categoryBudgets: this.readCategoryBudgets(),
+            trashRetentionDays: Math.min(Math.max(parseInt(this.elements.trashRetention.value, 10) || 0, 0), 3650)
         };
         
+        this.togglePeriodOptions(settings.budgetPeriod);
         state.updateSettings(settings);
         this.showMessage('Settings saved', 'success');
     }
@@ -446,17 +2573,99 @@ class UIManager {
         this.elements.baseCurrency.value = settings.baseCurrency;
         this.elements.rate1.value = settings.conversionRates.EUR;
         this.elements.rate2.value = settings.conversionRates.GBP;
+        this.elements.rate3.value = settings.conversionRates.KES;
+        this.elements.currency.value = settings.baseCurrency;
+        this.elements.recurringCurrency.value = settings.baseCurrency;
         this.elements.monthlyBudget.value = settings.monthlyBudget;
+        this.elements.budgetPeriod.value = settings.budgetPeriod;
+        this.elements.periodStartDay.value = settings.periodStartDay;
+        this.elements.semesterStartMonth.value = settings.semesterStartMonth;
+        this.elements.budgetRollover.checked = settings.budgetRollover;
+        this.elements.trashRetention.value = settings.trashRetentionDays;
+        this.togglePeriodOptions(settings.budgetPeriod);
+        this.renderCategoryBudgetInputs();
+    }
+
+    // Render one limit input per category
+    renderCategoryBudgetInputs() {
+        const container = this.elements.categoryBudgets;
+        const limits = state.settings.categoryBudgets || {};
+        const categories = [...new Set([...state.settings.categories, ...Object.keys(limits)])];
+        
+        container.innerHTML = '';
+        
+        categories.forEach(category => {
+            const id = `category-budget-${category.toLowerCase().replace(/[^a-z]+/g, '-')}`;
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            
+            const label = document.createElement('label');
+            label.setAttribute('for', id);
+            label.textContent = category;
+            
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = id;
+            input.min = '0';
+            input.step = '0.01';
+            input.dataset.category = category;
+            input.value = limits[category] ?? '';
+            
+            group.append(label, input);
+            container.appendChild(group);
+        });
+    }
+
+    // Read category limits from the settings form
+    readCategoryBudgets() {
+        const limits = {};
+        
+        this.elements.categoryBudgets.querySelectorAll('input[data-category]').forEach(input => {
+            const value = parseFloat(input.value);
+            if (value > 0) {
+                limits[input.dataset.category] = value;
+            }
+        });
+        
+        return limits;
+    }
+
+    // Show only the options relevant to the chosen budget period
+    togglePeriodOptions(period) {
+        this.elements.periodStartDayGroup.hidden = period !== 'custom';
+        this.elements.semesterStartGroup.hidden = period !== 'semester';
     }
 
     // Handle export
     handleExport() {
-        exportToJSON(state.transactions, state.settings);
+        exportToJSON(this.getExportTransactions(), state.settings);
     }
 
     // Handle CSV export
     handleExportCSV() {
-        exportToCSV(state.transactions);
+        exportToCSV(this.getExportTransactions(), state.settings);
+        
+        const missing = state.getMissingRates();
+        if (missing.length) {
+            this.showMessage(`No conversion rate for ${missing.join(', ')}: those rows have a blank ${state.settings.baseCurrency} amount`, 'warning');
+        }
+    }
+
+    // Export everything, trash and receipt files included, as a zip archive
+    async handleExportBackup() {
+        try {
+            const receipts = await state.getAllReceipts();
+            await exportBackup([...state.transactions, ...state.trash], state.settings, receipts);
+        } catch (error) {
+            this.showMessage(`Backup failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Transactions to export; the trash is only included when asked for
+    getExportTransactions() {
+        return this.elements.exportIncludeTrash?.checked
+            ? [...state.transactions, ...state.trash]
+            : state.transactions;
     }
 
     // Handle import
@@ -464,19 +2673,91 @@ class UIManager {
         const file = e.target.files[0];
         if (!file) return;
 
+        // CSV files and bank statements go through mapping and preview first
+        const statementFormat = file.name.match(/\.(ofx|qfx|qif)$/i)?.[1].toLowerCase();
+        if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+            await this.openCSVImport(file);
+            e.target.value = '';
+            return;
+        }
+        
+        if (statementFormat) {
+            await this.openStatementImport(file, statementFormat === 'qfx' ? 'ofx' : statementFormat);
+            e.target.value = '';
+            return;
+        }
+        
+        // Full backups are zip archives carrying receipt files beside the JSON
+        const isBackup = /\.zip$/i.test(file.name) || file.type === 'application/zip';
+
         try {
-            const result = await importFromJSON(file, (transaction) => {
+            const result = await (isBackup ? importBackup : importFromJSON)(file, (transaction) => {
+                // Receipts must be images or PDFs as if they were attached here; others are dropped
+                if (Array.isArray(transaction.receipts)) {
+                    transaction.receipts = transaction.receipts.filter(receipt => validateReceiptRecord(receipt).valid);
+                }
+                
                 // Validate transaction structure
                 return transaction.id && 
                        transaction.description && 
                        typeof transaction.amount === 'number' &&
                        transaction.category &&
-                       transaction.date;
+                       transaction.date &&
+                       validateType(transaction.type).valid &&
+                       (!transaction.splits || validateSplits(transaction.splits, transaction.amount).valid) &&
+                       (!transaction.tags || validateTags(transaction.tags).valid) &&
+                       (!transaction.receipts || Array.isArray(transaction.receipts)) &&
+                       (!isSavingsType(transaction.type.toLowerCase()) || typeof transaction.goalId === 'string') &&
+                       state.hasRate(transaction.currency);
+            });
+            
+            // Receipt files go in first so the imported rows can show them
+            if (isBackup && !await state.storeReceipts(result.receipts)) {
+                this.showMessage('Receipt files could not be restored; this browser cannot store them', 'warning');
+            } else if (result.missingReceiptCount > 0) {
+                this.showMessage(`${result.missingReceiptCount} receipts were missing from the backup`, 'warning');
+            }
+            
+            // Older exports have already been migrated; only the type's case and the tags' form vary
+            result.transactions.forEach(t => {
+                t.type = t.type.toLowerCase();
+                t.tags = validateTags(t.tags || []).cleaned;
             });
 
+            // One undo reverts the whole import, settings included
+            let presetCount = 0;
+            let goalCount = 0;
+            state.batch(`Import ${file.name}`, () => {
+                // Bring in category envelopes from the exported settings
+                if (result.settings?.categoryBudgets) {
+                    this.importCategoryBudgets(result.settings.categoryBudgets);
+                }
+                
+                // Goals come before the contributions and withdrawals that name them
+                goalCount = state.importSavingsGoals(result.settings?.savingsGoals);
+
+                if (result.transactions.length > 0) {
+                    state.importTransactions(result.transactions);
+                }
+                
+                // Restore recurring schedules after their imported occurrences
+                if (Array.isArray(result.settings?.recurring)) {
+                    this.importSchedules(result.settings.recurring);
+                }
+                
+                presetCount = state.importSearchPresets(result.settings?.searchPresets);
+            });
+
+            if (presetCount > 0) {
+                this.showMessage(`Added ${presetCount} saved searches`, 'success');
+            }
+            
+            if (goalCount > 0) {
+                this.showMessage(`Added ${goalCount} savings goals`, 'success');
+            }
+
             if (result.transactions.length > 0) {
-                state.importTransactions(result.transactions);
-                this.showMessage(`Imported ${result.transactions.length} transactions successfully`, 'success');
+                this.showUndoMessage(`Imported ${result.transactions.length} transactions successfully`, 'success');
                 
                 if (result.invalidCount > 0) {
                     this.showMessage(`${result.invalidCount} invalid transactions were skipped`, 'warning');
@@ -492,6 +2773,269 @@ class UIManager {
         e.target.value = '';
     }
 
+    // Open the CSV import dialog for a file
+    async openCSVImport(file) {
+        try {
+            const text = await file.text();
+            this.importMode = 'csv';
+            this.csvImport = { text, rows: [] };
+            
+            const delimiter = detectDelimiter(text);
+            this.elements.importDelimiter.value = delimiter === '\t' ? 'tab' : delimiter;
+            this.showImportDialog('Import CSV', file.name);
+            
+            this.parseCSVImport(true);
+        } catch (error) {
+            this.showMessage(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Open the import dialog for an OFX or QIF bank statement
+    async openStatementImport(file, format) {
+        try {
+            const text = await file.text();
+            const records = format === 'ofx' ? parseOFX(text) : parseQIF(text);
+            
+            if (!records.length) {
+                throw new Error('No transactions found in statement');
+            }
+            
+            this.importMode = 'statement';
+            this.statementImport = { format, records, categories: [] };
+            
+            // QIF dates have no fixed format; OFX dates and currencies are explicit
+            this.elements.statementDateGroup.hidden = format !== 'qif';
+            this.elements.statementCurrency.value = state.settings.baseCurrency;
+            this.showImportDialog(`Import bank statement (${format.toUpperCase()})`, file.name);
+            
+            this.renderImportPreview();
+        } catch (error) {
+            this.showMessage(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Show the import dialog with the options for the current mode
+    showImportDialog(heading, fileName) {
+        const isCSV = this.importMode === 'csv';
+        
+        this.elements.importDialogHeading.textContent = heading;
+        this.elements.importFileName.textContent = fileName;
+        this.elements.importCSVOptions.hidden = !isCSV;
+        this.elements.importCSVMapping.hidden = !isCSV;
+        this.elements.importStatementOptions.hidden = isCSV;
+        
+        if (!this.elements.importDialog.open) {
+            this.elements.importDialog.showModal();
+        }
+    }
+
+    // Split the CSV text with the chosen delimiter
+    parseCSVImport(detectHeader = false) {
+        const value = this.elements.importDelimiter.value;
+        const delimiter = value === 'tab' ? '\t' : value;
+        this.csvImport.rows = parseCSVRows(this.csvImport.text, delimiter);
+        
+        if (detectHeader) {
+            this.elements.importHasHeader.checked = detectHeaderRow(this.csvImport.rows);
+        }
+        
+        this.fillMappingSelects();
+    }
+
+    // Offer each CSV column in the mapping selects, pre-selecting likely matches
+    fillMappingSelects() {
+        const { rows } = this.csvImport;
+        const hasHeader = this.elements.importHasHeader.checked;
+        const columnCount = Math.max(0, ...rows.map(r => r.length));
+        const headers = Array.from({ length: columnCount }, (_, i) =>
+            hasHeader && rows[0]?.[i] ? rows[0][i] : `Column ${i + 1}`
+        );
+        const guessed = hasHeader ? guessMapping(headers) : {};
+        
+        this.elements.importMappingSelects.forEach(select => {
+            select.innerHTML = '<option value="">(not in file)</option>';
+            headers.forEach((header, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = header;
+                select.appendChild(option);
+            });
+            
+            const guess = guessed[select.dataset.field];
+            select.value = guess === null || guess === undefined ? '' : guess;
+        });
+        
+        this.renderImportPreview();
+    }
+
+    // Map every CSV row with the current options
+    getCSVImportRows() {
+        const { rows } = this.csvImport;
+        const dataRows = this.elements.importHasHeader.checked ? rows.slice(1) : rows;
+        
+        const mapping = {};
+        this.elements.importMappingSelects.forEach(select => {
+            mapping[select.dataset.field] = select.value === '' ? null : Number(select.value);
+        });
+        
+        return mapCSVRows(dataRows, mapping, {
+            dateFormat: this.elements.importDateFormat.value,
+            decimalSeparator: this.elements.importDecimal.value,
+            amountSign: this.elements.importAmountSign.value,
+            categorise: state.getCategoriser()
+        }).map(formData => ({ formData }));
+    }
+
+    // Map every statement record with the chosen categories
+    getStatementImportRows() {
+        const { records, categories } = this.statementImport;
+        
+        const mapped = mapStatementRecords(records, {
+            defaultCategory: this.elements.statementCategory.value.trim() || 'Other',
+            currency: this.elements.statementCurrency.value,
+            dateFormat: this.elements.statementDateFormat.value,
+            categories,
+            categorise: state.getCategoriser()
+        });
+        
+        return mapped.map((formData, index) => ({
+            formData,
+            externalId: records[index].externalId || null
+        }));
+    }
+
+    // Validate mapped import rows and flag ones that are already in the tracker
+    getImportResults() {
+        const rows = this.importMode === 'statement' ? this.getStatementImportRows() : this.getCSVImportRows();
+        const externalIds = new Set(state.transactions.map(t => t.externalId).filter(Boolean));
+        const signatures = new Set(state.transactions.map(t => `${t.date}|${t.amount}|${t.description}`));
+        
+        return rows.map(row => {
+            const validation = validateTransaction({ currency: state.settings.baseCurrency, ...row.formData });
+            const errors = Object.values(validation.errors);
+            
+            if (validation.isValid && !state.hasRate(validation.cleaned.currency)) {
+                errors.push(`No conversion rate set for ${validation.cleaned.currency}`);
+            }
+            
+            if (errors.length) {
+                return { ...row, status: 'invalid', message: `✗ ${errors.join('; ')}` };
+            }
+            
+            // Statements often overlap, so skip rows already imported
+            const { cleaned } = validation;
+            const signature = `${cleaned.date}|${cleaned.amount}|${cleaned.description}`;
+            const isDuplicate = this.importMode === 'statement' &&
+                ((row.externalId && externalIds.has(row.externalId)) || signatures.has(signature));
+            
+            if (isDuplicate) {
+                return { ...row, status: 'skipped', message: '↷ Already imported' };
+            }
+            
+            if (row.externalId) externalIds.add(row.externalId);
+            signatures.add(signature);
+            return { ...row, status: 'ready', message: '✓ Ready' };
+        });
+    }
+
+    // Render the import preview with each row's validation result
+    renderImportPreview() {
+        const tbody = this.elements.importPreviewBody;
+        const results = this.getImportResults();
+        const readyCount = results.filter(r => r.status === 'ready').length;
+        const skippedCount = results.filter(r => r.status === 'skipped').length;
+        const offset = this.importMode === 'csv' && this.elements.importHasHeader.checked ? 2 : 1;
+        
+        tbody.innerHTML = '';
+        
+        results.forEach(({ formData, status, message }, index) => {
+            const row = document.createElement('tr');
+            row.className = `import-${status}`;
+            
+            [index + offset, formData.description, formData.amount, formData.category, formData.date, message].forEach((text, column) => {
+                const cell = document.createElement('td');
+                
+                // Statement rows get their category assigned here
+                if (column === 3 && this.importMode === 'statement') {
+                    const input = document.createElement('input');
+                    input.type = 'text';
+                    input.value = text;
+                    input.setAttribute('aria-label', `Category for row ${index + offset}`);
+                    input.addEventListener('change', () => {
+                        this.statementImport.categories[index] = input.value.trim();
+                        this.renderImportPreview();
+                    });
+                    cell.appendChild(input);
+                } else {
+                    cell.textContent = text;
+                }
+                
+                row.appendChild(cell);
+            });
+            
+            tbody.appendChild(row);
+        });
+        
+        const invalidCount = results.length - readyCount - skippedCount;
+        this.elements.importSummary.textContent =
+            `${readyCount} ready to import, ${skippedCount} already imported, ${invalidCount} invalid`;
+        this.elements.importConfirm.textContent = `Import ${readyCount} rows`;
+        this.elements.importConfirm.disabled = readyCount === 0;
+    }
+
+    // Commit the rows that are ready and report what happened to the rest
+    confirmImport() {
+        const results = this.getImportResults();
+        const transactions = results
+            .filter(r => r.status === 'ready')
+            .map(r => {
+                const transaction = state.createTransaction(r.formData);
+                return r.externalId ? { ...transaction, externalId: r.externalId } : transaction;
+            });
+        const skippedCount = results.filter(r => r.status === 'skipped').length;
+        const invalidCount = results.length - transactions.length - skippedCount;
+        
+        if (transactions.length) {
+            state.importTransactions(transactions);
+        }
+        this.elements.importDialog.close();
+        
+        const summary = `Imported ${transactions.length}, skipped ${skippedCount}, invalid ${invalidCount}`;
+        if (transactions.length) {
+            this.showUndoMessage(summary, 'success');
+        } else {
+            this.showMessage(summary, 'warning');
+        }
+    }
+
+    // Merge imported category limits into the current settings
+    importCategoryBudgets(imported) {
+        const limits = {};
+        
+        for (const [category, limit] of Object.entries(imported)) {
+            if (validateCategory(category).valid && typeof limit === 'number' && limit > 0) {
+                limits[category] = limit;
+            }
+        }
+        
+        const categories = [...new Set([...state.settings.categories, ...Object.keys(limits)])];
+        state.updateSettings({
+            categories,
+            categoryBudgets: { ...state.settings.categoryBudgets, ...limits }
+        });
+        this.renderCategoryBudgetInputs();
+    }
+
+    // Add imported recurring schedules that are valid and not already present
+    importSchedules(imported) {
+        const existing = new Set((state.settings.recurring || []).map(s => s.id));
+        const schedules = imported.filter(s => s.id && !existing.has(s.id) && validateSchedule(s).isValid);
+        
+        if (schedules.length) {
+            state.setSchedules([...(state.settings.recurring || []), ...schedules]);
+        }
+    }
+
     // Load seed data
     loadSeedData() {
         const seedTransactions = [
@@ -584,29 +3128,98 @@ class UIManager {
                 date: '2025-09-26',
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString()
+            },
+            {
+                id: 'txn_11',
+                description: 'Monthly allowance',
+                amount: 400.00,
+                category: 'Other',
+                date: '2025-09-01',
+                type: 'income',
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            },
+            {
+                id: 'txn_12',
+                description: 'Library assistant wages',
+                amount: 120.00,
+                category: 'Other',
+                date: '2025-09-19',
+                type: 'income',
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            },
+            {
+                id: 'txn_13',
+                description: 'Matatu fare to town',
+                amount: 150.00,
+                currency: 'KES',
+                category: 'Transport',
+                date: '2025-09-24',
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
             }
         ];
+        
+        // Everything else in the seed is spending in US dollars
+        seedTransactions.forEach(t => {
+            t.type = t.type || 'expense';
+            t.currency = t.currency || 'USD';
+        });
 
         state.importTransactions(seedTransactions);
-        this.showMessage('Seed data loaded successfully', 'success');
+        this.showUndoMessage('Seed data loaded successfully', 'success');
     }
 
     // Show message to user
-    showMessage(text, type = 'info') {
+    showMessage(text, type = 'info', { duration = 3000, action = null, actions = action ? [action] : [] } = {}) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${type}`;
         messageDiv.textContent = text;
         messageDiv.setAttribute('role', type === 'error' ? 'alert' : 'status');
         
+        // Optional buttons, e.g. "Undo" after a destructive operation
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'message-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                messageDiv.remove();
+                action.onClick();
+            });
+            messageDiv.appendChild(button);
+        });
+        
         document.body.appendChild(messageDiv);
         
-        setTimeout(() => {
-            messageDiv.remove();
-        }, 3000);
+        // A duration of 0 keeps the message up (for problems the user must act on)
+        if (duration > 0) {
+            setTimeout(() => {
+                messageDiv.remove();
+            }, duration);
+        } else {
+            const closeBtn = document.createElement('button');
+            closeBtn.type = 'button';
+            closeBtn.className = 'message-close';
+            closeBtn.textContent = '×';
+            closeBtn.setAttribute('aria-label', 'Dismiss message');
+            closeBtn.addEventListener('click', () => messageDiv.remove());
+            messageDiv.appendChild(closeBtn);
+        }
+        
+        return messageDiv;
+    }
+
+    // Format amount with a sign showing money in or out
+    formatSignedAmount(amount, transaction, currency = transaction.currency) {
+        // Withdrawals bring money back from a savings goal
+        const sign = transaction.type === 'income' || transaction.type === 'withdrawal' ? '+' : '-';
+        return `${sign}${this.formatCurrency(amount, currency)}`;
     }
 
     // Format currency
-    formatCurrency(amount) {
+    formatCurrency(amount, currency = state.settings.baseCurrency) {
         const currencySymbols = {
             USD: '$',
             EUR: '€',
@@ -614,8 +3227,9 @@ class UIManager {
             KES: 'KSh'
         };
         
-        const symbol = currencySymbols[state.settings.baseCurrency] || '$';
-        return `${symbol}${amount.toFixed(2)}`;
+        const symbol = currencySymbols[currency] || `${currency} `;
+        const sign = amount < 0 ? '-' : '';
+        return `${sign}${symbol}${Math.abs(amount).toFixed(2)}`;
     }
 }
 
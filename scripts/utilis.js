@@ -51,9 +51,31 @@ export function calculatePercentage(value, total) {
     return (value / total) * 100;
 }
 
-// Group transactions by category
+// Convert an amount between currencies (rates are quoted per 1 USD)
+export function convertCurrency(amount, from, to, rates = {}) {
+    if (from === to) return amount;
+    
+    const fromRate = from === 'USD' ? 1 : rates[from];
+    const toRate = to === 'USD' ? 1 : rates[to];
+    
+    if (!fromRate || !toRate) return NaN;
+    
+    return (amount / fromRate) * toRate;
+}
+
+// Expand split transactions into one entry per line, carrying the line's category and amount
+export function expandSplits(transactions) {
+    return transactions.flatMap(transaction => {
+        if (!transaction.splits?.length) return [transaction];
+        
+        const { splits, ...parent } = transaction;
+        return splits.map((line, index) => ({ ...parent, category: line.category, amount: line.amount, splitIndex: index }));
+    });
+}
+
+// Group transactions by category (split transactions count once per line)
 export function groupByCategory(transactions) {
-    return transactions.reduce((groups, transaction) => {
+    return expandSplits(transactions).reduce((groups, transaction) => {
         const category = transaction.category;
         if (!groups[category]) {
             groups[category] = {
@@ -216,13 +238,84 @@ export function downloadAsFile(data, filename, type = 'application/json') {
     URL.revokeObjectURL(url);
 }
 
-// Parse CSV string
-export function parseCSV(csv) {
-    const lines = csv.split('\n');
-    const headers = lines[0].split(',');
+// Parse CSV text into rows of fields (RFC 4180: quoted fields may contain
+// delimiters, line breaks, and doubled quotes)
+export function parseCSVRows(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    // Ignore a byte order mark left by spreadsheet exports
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    // Last record may not end with a line break
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    // Drop blank lines
+    return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+
+// Guess the delimiter from the first few lines of CSV text
+export function detectDelimiter(text) {
+    const candidates = [',', ';', '\t', '|'];
+    const sample = text.split(/\r?\n/).slice(0, 5).join('\n');
+    let best = ',';
+    let bestScore = 0;
+    
+    candidates.forEach(delimiter => {
+        const rows = parseCSVRows(sample, delimiter);
+        const counts = rows.map(r => r.length);
+        
+        // Prefer delimiters that split every line into the same number of fields
+        const consistent = counts.every(count => count === counts[0]);
+        const score = counts[0] > 1 ? counts[0] * (consistent ? 2 : 1) : 0;
+        
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    });
+    
+    return best;
+}
+
+// Parse CSV string into objects keyed by the header row
+export function parseCSV(csv, delimiter = ',') {
+    const [headers = [], ...rows] = parseCSVRows(csv, delimiter);
     
-    return lines.slice(1).map(line => {
-        const values = line.split(',');
+    return rows.map(values => {
         return headers.reduce((obj, header, index) => {
             obj[header.trim()] = values[index]?.trim();
             return obj;
@@ -128,6 +128,188 @@ export function validateCategory(category) {
     };
 }
 
+// Validation Rule 5: Type - income, expense, or a savings goal contribution or withdrawal
+export function validateType(type) {
+    const pattern = /^(income|expense|contribution|withdrawal)$/i;
+    
+    if (!pattern.test(type)) {
+        return {
+            valid: false,
+            message: 'Type must be income, expense, contribution, or withdrawal'
+        };
+    }
+    
+    return {
+        valid: true,
+        message: '',
+        cleaned: type.toLowerCase()
+    };
+}
+
+// Check whether a type moves money to or from a savings goal
+export function isSavingsType(type) {
+    return type === 'contribution' || type === 'withdrawal';
+}
+
+// Validation Rule 6: Currency - three-letter ISO 4217 code
+export function validateCurrency(currency) {
+    const pattern = /^[A-Za-z]{3}$/;
+    
+    if (!pattern.test(currency)) {
+        return {
+            valid: false,
+            message: 'Currency must be a three-letter code (e.g., USD, EUR, KES)'
+        };
+    }
+    
+    return {
+        valid: true,
+        message: '',
+        cleaned: currency.toUpperCase()
+    };
+}
+
+// Validation Rule 9: Tag - lowercase words joined by hyphens or underscores (a leading # is dropped)
+export function validateTag(tag) {
+    const cleaned = String(tag).trim().replace(/^#/, '').toLowerCase();
+    const pattern = /^[a-z0-9]+(?:[-_][a-z0-9]+)*$/;
+    
+    if (!pattern.test(cleaned)) {
+        return {
+            valid: false,
+            message: 'Tags may contain only letters, digits, hyphens, and underscores (e.g., #trip-nairobi)'
+        };
+    }
+    
+    if (cleaned.length > 30) {
+        return {
+            valid: false,
+            message: 'Tags cannot be longer than 30 characters'
+        };
+    }
+    
+    return {
+        valid: true,
+        message: '',
+        cleaned
+    };
+}
+
+// Validate a list of tags, given as an array or as text like "#trip-nairobi, #shared"
+export function validateTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags ?? '').split(/[\s,]+/);
+    const cleaned = [];
+    
+    for (const tag of list.filter(t => String(t).trim() && String(t).trim() !== '#')) {
+        const validation = validateTag(tag);
+        if (!validation.valid) {
+            return {
+                valid: false,
+                message: `#${String(tag).trim().replace(/^#/, '')}: ${validation.message}`
+            };
+        }
+        if (!cleaned.includes(validation.cleaned)) {
+            cleaned.push(validation.cleaned);
+        }
+    }
+    
+    if (cleaned.length > 20) {
+        return {
+            valid: false,
+            message: 'A transaction can have at most 20 tags'
+        };
+    }
+    
+    return {
+        valid: true,
+        message: '',
+        cleaned
+    };
+}
+
+// Validation Rule 10: Splits - two or more lines, each with a category, adding up to the total
+export function validateSplits(splits, total) {
+    if (!Array.isArray(splits) || splits.length < 2) {
+        return {
+            valid: false,
+            message: 'A split needs at least two lines'
+        };
+    }
+    
+    const cleaned = [];
+    for (const [index, line] of splits.entries()) {
+        const amountValidation = validateAmount(String(line.amount ?? '').trim());
+        if (!amountValidation.valid || amountValidation.value === 0) {
+            return {
+                valid: false,
+                message: `Line ${index + 1}: ${amountValidation.valid ? 'Amount must be more than 0' : amountValidation.message}`
+            };
+        }
+        
+        const categoryValidation = validateCategory(String(line.category ?? '').trim());
+        if (!categoryValidation.valid) {
+            return {
+                valid: false,
+                message: `Line ${index + 1}: ${categoryValidation.message}`
+            };
+        }
+        
+        cleaned.push({ category: categoryValidation.cleaned, amount: amountValidation.value });
+    }
+    
+    // Compare in cents so 0.1 + 0.2 still adds up to 0.30
+    const linesCents = cleaned.reduce((sum, line) => sum + Math.round(line.amount * 100), 0);
+    const totalCents = Math.round(parseFloat(total) * 100);
+    if (linesCents !== totalCents) {
+        return {
+            valid: false,
+            message: `Split lines add up to ${(linesCents / 100).toFixed(2)}, not ${(totalCents / 100).toFixed(2)}`
+        };
+    }
+    
+    return {
+        valid: true,
+        message: '',
+        cleaned
+    };
+}
+
+// Validation Rule 11: Receipt file - an image or a PDF, at most 10 MB
+export function validateReceiptFile(file) {
+    const pattern = /^(?:image\/[\w.+-]+|application\/pdf)$/i;
+    
+    if (!pattern.test(file.type || '')) {
+        return {
+            valid: false,
+            message: `${file.name}: Receipts must be images or PDFs`
+        };
+    }
+    
+    if (file.size > 10 * 1024 * 1024) {
+        return {
+            valid: false,
+            message: `${file.name}: Receipts cannot be larger than 10 MB`
+        };
+    }
+    
+    return {
+        valid: true,
+        message: ''
+    };
+}
+
+// Check the receipt details an imported transaction lists ({ id, name, type, size })
+export function validateReceiptRecord(receipt) {
+    if (!receipt || typeof receipt.id !== 'string' || !receipt.id || typeof receipt.name !== 'string' || !Number.isFinite(receipt.size)) {
+        return {
+            valid: false,
+            message: 'Receipt details are incomplete'
+        };
+    }
+    
+    return validateReceiptFile(receipt);
+}
+
 // Advanced Regex 1: Check for duplicate words (back-reference)
 export function hasDuplicateWords(text) {
     const pattern = /\b(\w+)\s+\1\b/i;
@@ -177,12 +359,48 @@ export function validateTransaction(formData) {
         warnings.date = dateValidation.warning;
     }
     
+    // Validate split lines (optional); the largest line's category stands for the whole
+    const splitValidation = formData.splits?.length ? validateSplits(formData.splits, formData.amount) : null;
+    if (splitValidation && !splitValidation.valid) {
+        errors.splits = splitValidation.message;
+    }
+    const category = splitValidation?.valid
+        ? splitValidation.cleaned.reduce((largest, line) => line.amount > largest.amount ? line : largest).category
+        : formData.category;
+    
     // Validate category
-    const catValidation = validateCategory(formData.category);
+    const catValidation = validateCategory(category);
     if (!catValidation.valid) {
         errors.category = catValidation.message;
     }
     
+    // Validate type (records without one are treated as expenses)
+    const typeValidation = validateType(formData.type || 'expense');
+    if (!typeValidation.valid) {
+        errors.type = typeValidation.message;
+    }
+    
+    // Savings contributions and withdrawals belong to a goal and are never split
+    const isSavings = isSavingsType(typeValidation.cleaned);
+    if (isSavings && (typeof formData.goalId !== 'string' || !formData.goalId)) {
+        errors.goalId = 'Choose the savings goal this money goes to or comes from';
+    }
+    if (isSavings && formData.splits?.length) {
+        errors.splits = 'Savings contributions and withdrawals cannot be split';
+    }
+    
+    // Validate currency (callers fill in the base currency when none is given)
+    const currencyValidation = formData.currency ? validateCurrency(formData.currency) : { valid: true };
+    if (!currencyValidation.valid) {
+        errors.currency = currencyValidation.message;
+    }
+    
+    // Validate tags (optional)
+    const tagsValidation = formData.tags !== undefined ? validateTags(formData.tags) : null;
+    if (tagsValidation && !tagsValidation.valid) {
+        errors.tags = tagsValidation.message;
+    }
+    
     // Advanced regex checks for information
     if (formData.description) {
         if (hasDuplicateWords(formData.description)) {
@@ -206,7 +424,103 @@ export function validateTransaction(formData) {
             description: descValidation.cleaned || formData.description,
             amount: amountValidation.value || parseFloat(formData.amount),
             date: formData.date,
-            category: catValidation.cleaned || formData.category
+            category: catValidation.cleaned || category,
+            type: typeValidation.cleaned || formData.type,
+            currency: currencyValidation.cleaned || formData.currency,
+            splits: splitValidation?.valid ? splitValidation.cleaned : null,
+            tags: tagsValidation?.valid ? tagsValidation.cleaned : null,
+            goalId: isSavings ? formData.goalId : null
+        }
+    };
+}
+
+// Validation Rule 7: Frequency - daily, weekly, monthly, or custom
+export function validateFrequency(frequency) {
+    const pattern = /^(daily|weekly|monthly|custom)$/;
+    
+    if (!pattern.test(frequency)) {
+        return {
+            valid: false,
+            message: 'Choose daily, weekly, monthly, or a custom interval'
+        };
+    }
+    
+    return {
+        valid: true,
+        message: ''
+    };
+}
+
+// Validation Rule 8: Interval - whole number of days from 1 to 365
+export function validateInterval(interval) {
+    const pattern = /^[1-9]\d*$/;
+    
+    if (!pattern.test(interval) || Number(interval) > 365) {
+        return {
+            valid: false,
+            message: 'Interval must be a whole number of days between 1 and 365'
+        };
+    }
+    
+    return {
+        valid: true,
+        message: '',
+        value: Number(interval)
+    };
+}
+
+// Validate a recurring transaction schedule
+export function validateSchedule(formData) {
+    const validation = validateTransaction({ ...formData, date: formData.startDate });
+    const errors = { ...validation.errors };
+    
+    if (errors.date) {
+        errors.startDate = errors.date;
+        delete errors.date;
+    }
+    
+    // Goal contributions are recorded by hand, not on a schedule
+    if (isSavingsType(validation.cleaned.type)) {
+        delete errors.goalId;
+        errors.type = 'Recurring schedules can only be income or expenses';
+    }
+    
+    const frequencyValidation = validateFrequency(formData.frequency);
+    if (!frequencyValidation.valid) {
+        errors.frequency = frequencyValidation.message;
+    }
+    
+    let interval = 1;
+    if (formData.frequency === 'custom') {
+        const intervalValidation = validateInterval(String(formData.interval));
+        if (intervalValidation.valid) {
+            interval = intervalValidation.value;
+        } else {
+            errors.interval = intervalValidation.message;
+        }
+    }
+    
+    const endDate = formData.endDate || null;
+    if (endDate) {
+        const endValidation = validateDate(endDate);
+        if (!endValidation.valid) {
+            errors.endDate = endValidation.message;
+        } else if (endDate < formData.startDate) {
+            errors.endDate = 'End date cannot be before the start date';
+        }
+    }
+    
+    const { date, goalId, ...cleaned } = validation.cleaned;
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors,
+        cleaned: {
+            ...cleaned,
+            frequency: formData.frequency,
+            interval,
+            startDate: date,
+            endDate
         }
     };
 }
@@ -253,6 +567,18 @@ export const testPatterns = {
         { input: '2025-09-32', expected: false },
         { input: '2025-9-1', expected: false }
     ],
+    currency: [
+        { input: 'USD', expected: true },
+        { input: 'kes', expected: true },
+        { input: 'US', expected: false },
+        { input: 'US$', expected: false }
+    ],
+    type: [
+        { input: 'expense', expected: true },
+        { input: 'Income', expected: true },
+        { input: 'contribution', expected: true },
+        { input: 'refund', expected: false }
+    ],
     advanced: {
         duplicateWords: [
             { input: 'coffee coffee', expected: true },
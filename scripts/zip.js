@@ -0,0 +1,177 @@
+// zip.js - Minimal ZIP archive writer and reader for backups
+//
+// Archives are written uncompressed (receipts are already-compressed images and
+// PDFs); reading also accepts deflated entries where the browser can inflate them.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Raised for files that are not ZIP archives this reader understands
+export class ZipError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipError';
+    }
+}
+
+let crcTable = null;
+
+// CRC-32 of some bytes, as ZIP entries require
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Date and time in the MS-DOS format ZIP headers use
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Build a ZIP archive from [{ name, data }] where data is a string, Uint8Array, or Blob
+export async function createZip(files) {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(new Date());
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        let data = file.data;
+        if (typeof data === 'string') {
+            data = encoder.encode(data);
+        } else if (!(data instanceof Uint8Array)) {
+            data = new Uint8Array(await data.arrayBuffer());
+        }
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_HEADER, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // names are UTF-8
+        local.setUint16(8, 0, true); // stored, not compressed
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, CENTRAL_HEADER, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+
+        parts.push(local, name, data);
+        central.push(entry, name);
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+// Inflate a deflated entry with the browser's DecompressionStream
+async function inflate(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new ZipError('This browser cannot read compressed archives; please use a backup made by the tracker');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Read a ZIP archive (Blob or ArrayBuffer) into a Map of entry name -> Uint8Array
+export async function readZip(source) {
+    const buffer = source instanceof ArrayBuffer ? source : await source.arrayBuffer();
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // The end record sits in the last 22 bytes, plus up to 64 KB of comment
+    let endOffset = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new ZipError('Not a ZIP archive');
+    }
+
+    const count = view.getUint16(endOffset + 10, true);
+    let cursor = view.getUint32(endOffset + 16, true);
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(cursor, true) !== CENTRAL_HEADER) {
+            throw new ZipError('Damaged ZIP archive');
+        }
+
+        const method = view.getUint16(cursor + 10, true);
+        const crc = view.getUint32(cursor + 16, true);
+        const compressedSize = view.getUint32(cursor + 20, true);
+        const nameLength = view.getUint16(cursor + 28, true);
+        const extraLength = view.getUint16(cursor + 30, true);
+        const commentLength = view.getUint16(cursor + 32, true);
+        const localOffset = view.getUint32(cursor + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, cursor + 46, nameLength));
+        cursor += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        // Local headers can carry their own extra field, so find the data from there
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = new Uint8Array(buffer, dataStart, compressedSize);
+
+        let data;
+        if (method === 0) {
+            data = raw.slice();
+        } else if (method === 8) {
+            data = await inflate(raw);
+        } else {
+            throw new ZipError(`Unsupported compression in ${name}`);
+        }
+
+        if (crc32(data) !== crc) {
+            throw new ZipError(`${name} is damaged (checksum mismatch)`);
+        }
+        entries.set(name, data);
+    }
+
+    return entries;
+}
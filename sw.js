@@ -0,0 +1,82 @@
+// sw.js - Service worker that keeps the app working offline
+
+// Bump on every deploy: a changed worker file is what tells browsers to update
+const CACHE_VERSION = 'v15';
+const CACHE_PREFIX = 'finance-tracker-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Everything the app needs to start without a network connection
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/apple-touch-icon.png',
+    'styles/main.css',
+    'styles/theme.css',
+    'scripts/app.js',
+    'scripts/state.js',
+    'scripts/ui.js',
+    'scripts/storage.js',
+    'scripts/validators.js',
+    'scripts/utilis.js',
+    'scripts/periods.js',
+    'scripts/recurring.js',
+    'scripts/importers.js',
+    'scripts/migrations.js',
+    'scripts/history.js',
+    'scripts/sync.js',
+    'scripts/search.js',
+    'scripts/rules.js',
+    'scripts/zip.js',
+    'scripts/charts.js',
+    'scripts/reports.js',
+    'scripts/goals.js'
+];
+
+// Cache the app shell; the new worker then waits until the page asks it to take over
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+// Remove caches left behind by earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page sends this when the user accepts the "update available" prompt
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Serve the app shell from the cache, falling back to the network
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Page loads get the cached index.html (matching the cached scripts), so deep links open offline too
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('index.html').then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request))
+    );
+});
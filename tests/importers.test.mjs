@@ -0,0 +1,52 @@
+// importers.test.mjs - Statement parser checks (run with: node --test tests/)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOFX } from '../scripts/importers.js';
+
+const statement = (transactions) => `<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>USD
+<BANKTRANLIST>
+${transactions}
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+test('ORIGCURRENCY amounts stay in the statement currency', () => {
+    const [record] = parseOFX(statement(`<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20250914
+<TRNAMT>-12.50
+<FITID>1
+<NAME>Paris cafe
+<ORIGCURRENCY><CURRATE>1.17<CURSYM>EUR</ORIGCURRENCY>
+</STMTTRN>`));
+
+    assert.equal(record.currency, 'USD');
+    assert.equal(record.amount, -12.5);
+});
+
+test('A CURRENCY aggregate overrides the statement currency', () => {
+    const [record] = parseOFX(statement(`<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20250914
+<TRNAMT>-10.00
+<FITID>2
+<NAME>London books
+<CURRENCY><CURRATE>1.33<CURSYM>GBP</CURRENCY>
+</STMTTRN>`));
+
+    assert.equal(record.currency, 'GBP');
+});
+
+test('Records without a currency aggregate use CURDEF', () => {
+    const [record] = parseOFX(statement(`<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20250915
+<TRNAMT>200.00
+<FITID>3
+<NAME>Allowance
+</STMTTRN>`));
+
+    assert.equal(record.currency, 'USD');
+    assert.equal(record.date, '2025-09-15');
+});
@@ -0,0 +1,36 @@
+// storage.test.mjs - CSV export checks (run with: node --test tests/)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { transactionsToCSV } from '../scripts/storage.js';
+import { parseCSVRows } from '../scripts/utilis.js';
+import { detectHeaderRow, guessMapping, mapCSVRows } from '../scripts/importers.js';
+import { validateTags } from '../scripts/validators.js';
+
+const settings = { baseCurrency: 'USD', conversionRates: { EUR: 0.85 } };
+
+test('Exported CSV with quotes in cells imports back unchanged', () => {
+    const csv = transactionsToCSV([{
+        id: 'txn_1',
+        description: 'The "Big" book, 2nd ed.',
+        type: 'expense',
+        amount: 42.5,
+        currency: 'USD',
+        category: 'Books',
+        date: '2025-09-14',
+        createdAt: '2025-09-14T10:00:00.000Z',
+        updatedAt: '2025-09-14T10:00:00.000Z',
+        tags: ['course', 'term-1']
+    }], settings);
+
+    const rows = parseCSVRows(csv);
+    assert.equal(rows.length, 2);
+    assert.ok(detectHeaderRow(rows));
+
+    const [record] = mapCSVRows(rows.slice(1), guessMapping(rows[0]));
+    assert.equal(record.description, 'The "Big" book, 2nd ed.');
+    assert.equal(record.amount, '42.50');
+    assert.equal(record.category, 'Books');
+    assert.equal(record.date, '2025-09-14');
+    assert.deepEqual(validateTags(record.tags).cleaned, ['course', 'term-1']);
+});